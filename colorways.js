@@ -0,0 +1,112 @@
+// Colorway presets
+// Named color sets ("Home", "Away", "Third") of a design, kept in localStorage per design name and
+// exchanged as JSON files. The colors of a colorway are what JerseyViewer.getColorway() returns:
+// { partColors, stripeColors, designColors }.
+
+const STORAGE_PREFIX = 'jersey-viewer:colorways:';
+const COLORWAYS_TYPE = 'jersey-viewer-colorways';
+const COLORWAYS_VERSION = 1;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Keep only well-formed presets, so a hand-edited file cannot break the viewer
+function sanitizeColorways(colorways) {
+    if (!Array.isArray(colorways)) return [];
+
+    return colorways
+        .filter(colorway => isPlainObject(colorway) && typeof colorway.name === 'string' && colorway.name.trim())
+        .map(colorway => ({
+            name: colorway.name.trim(),
+            partColors: isPlainObject(colorway.partColors) ? colorway.partColors : {},
+            stripeColors: isPlainObject(colorway.stripeColors) ? colorway.stripeColors : {},
+            designColors: isPlainObject(colorway.designColors) ? colorway.designColors : {}
+        }));
+}
+
+/**
+ * Read the colorways saved for a design
+ * @param {string} designName - Design the colorways belong to
+ * @returns {Array<Object>} Colorways in the order they were saved
+ */
+function loadColorways(designName) {
+    try {
+        return sanitizeColorways(JSON.parse(localStorage.getItem(STORAGE_PREFIX + designName)));
+    } catch (error) {
+        console.warn(`Could not read the colorways of ${designName}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Save the colorways of a design (replaces what was saved before)
+ * @param {string} designName - Design the colorways belong to
+ * @param {Array<Object>} colorways - Colorways to keep
+ */
+function saveColorways(designName, colorways) {
+    if (colorways.length === 0) {
+        localStorage.removeItem(STORAGE_PREFIX + designName);
+    } else {
+        localStorage.setItem(STORAGE_PREFIX + designName, JSON.stringify(colorways));
+    }
+}
+
+/**
+ * Add a colorway, replacing one with the same name (names are case-insensitive)
+ * @param {Array<Object>} colorways - Current colorways
+ * @param {Object} colorway - Colorway to add
+ * @returns {Array<Object>} The new list
+ */
+function upsertColorway(colorways, colorway) {
+    const index = colorways.findIndex(existing => existing.name.toLowerCase() === colorway.name.toLowerCase());
+    if (index === -1) {
+        return [...colorways, colorway];
+    }
+    return colorways.map((existing, i) => (i === index ? colorway : existing));
+}
+
+/**
+ * Build the JSON file contents for a design's colorways
+ * @param {string} designName - Design the colorways belong to
+ * @param {Array<Object>} colorways - Colorways to export
+ * @returns {Object} The file contents, ready for JSON.stringify
+ */
+function createColorwaysFile(designName, colorways) {
+    return {
+        type: COLORWAYS_TYPE,
+        version: COLORWAYS_VERSION,
+        design: designName,
+        colorways
+    };
+}
+
+/**
+ * Parse the contents of an exported colorways file
+ * @param {string} text - File contents
+ * @returns {Array<Object>} The colorways it contains
+ * @throws {Error} If the file is not a colorways export
+ */
+function parseColorwaysFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (!isPlainObject(file) || file.type !== COLORWAYS_TYPE) {
+        throw new Error('File is not a colorways export');
+    }
+    if (file.version > COLORWAYS_VERSION) {
+        throw new Error(`Colorways version ${file.version} is newer than this viewer supports (${COLORWAYS_VERSION})`);
+    }
+
+    const colorways = sanitizeColorways(file.colorways);
+    if (colorways.length === 0) {
+        throw new Error('File contains no colorways');
+    }
+    return colorways;
+}
+
+export { loadColorways, saveColorways, upsertColorway, createColorwaysFile, parseColorwaysFile };
@@ -0,0 +1,120 @@
+// Undo/redo history
+// Command stack for canvas edits. A command describes an edit that has already been applied:
+// { label, undo(), redo(), coalesceKey?, target? }. Consecutive commands with the same coalesceKey
+// and target within COALESCE_WINDOW ms are merged, so a slider drag is undone in one step.
+
+const DEFAULT_LIMIT = 100;
+const COALESCE_WINDOW = 1000;
+
+class HistoryStack {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Oldest commands are dropped beyond this many
+     * @param {Function} [options.onChange] - Called whenever the stacks change
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || DEFAULT_LIMIT;
+        this.onChange = options.onChange || null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false; // Edits made while undoing/redoing are not recorded
+        this.lastPushed = null; // Only the command pushed last may absorb the next one
+    }
+
+    /**
+     * Record an applied edit
+     * @param {Object} command - { label, undo, redo, coalesceKey?, target? }
+     */
+    push(command) {
+        if (this.isApplying) return;
+
+        const now = performance.now();
+        const last = this.lastPushed;
+        const canCoalesce = command.coalesceKey && last &&
+            last.coalesceKey === command.coalesceKey &&
+            last.target === command.target &&
+            now - last.time < COALESCE_WINDOW;
+
+        if (canCoalesce) {
+            // Keep the oldest "before" state, take the newest "after" state
+            last.redo = command.redo;
+            last.time = now;
+        } else {
+            this.lastPushed = { ...command, time: now };
+            this.undoStack.push(this.lastPushed);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {Object|null} The undone command, null if there was nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.undo(), `Error undoing "${command.label}":`);
+        this.lastPushed = null;
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Object|null} The redone command, null if there was nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.redo(), `Error redoing "${command.label}":`);
+        this.lastPushed = null;
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastPushed = null;
+        this.notify();
+    }
+
+    // Run an undo/redo callback; callbacks that finish asynchronously (e.g. a design re-render)
+    // return a promise, whose failure is logged with errorMessage
+    apply(callback, errorMessage) {
+        this.isApplying = true;
+        try {
+            const result = callback();
+            if (result && typeof result.then === 'function') {
+                result.then(null, error => console.error(errorMessage, error));
+            }
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+export { HistoryStack };
@@ -0,0 +1,342 @@
+// On-model logo gizmo
+// Screen-space handles around the selected logo or text layer: corner handles scale it, the handle
+// above it rotates it. The logo's footprint on its part canvas is mapped through the mesh UVs to the
+// surface of the model and projected onto the screen, so the outline follows the fabric's curvature.
+
+import * as THREE from 'three';
+
+const UV_GRID_SIZE = 64; // Cells per side of the UV lookup grid of a geometry
+const ROTATE_HANDLE_DISTANCE = 32; // Pixels between the logo's top edge and the rotate handle
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Footprint points in object space (fractions of width/height from the center)
+const FOOTPRINT_POINTS = {
+    tl: [-0.5, -0.5], mt: [0, -0.5], tr: [0.5, -0.5], mr: [0.5, 0],
+    br: [0.5, 0.5], mb: [0, 0.5], bl: [-0.5, 0.5], ml: [-0.5, 0],
+    center: [0, 0]
+};
+const OUTLINE_POINTS = ['tl', 'mt', 'tr', 'mr', 'br', 'mb', 'bl', 'ml'];
+const CORNER_POINTS = ['tl', 'tr', 'br', 'bl'];
+
+const uvGrids = new WeakMap(); // BufferGeometry -> triangles bucketed by UV cell
+
+// Bucket a geometry's triangles into a grid over UV space, so a UV lookup tests only a few of them
+function getUVGrid(geometry) {
+    if (uvGrids.has(geometry)) return uvGrids.get(geometry);
+
+    const uv = geometry.attributes.uv;
+    const index = geometry.index;
+    const triangleCount = (index ? index.count : uv.count) / 3;
+    const cells = new Map();
+
+    for (let t = 0; t < triangleCount; t++) {
+        const vertices = [0, 1, 2].map(k => (index ? index.getX(t * 3 + k) : t * 3 + k));
+        const us = vertices.map(v => uv.getX(v));
+        const vs = vertices.map(v => uv.getY(v));
+        const toCell = value => Math.min(UV_GRID_SIZE - 1, Math.max(0, Math.floor(value * UV_GRID_SIZE)));
+
+        for (let cx = toCell(Math.min(...us)); cx <= toCell(Math.max(...us)); cx++) {
+            for (let cy = toCell(Math.min(...vs)); cy <= toCell(Math.max(...vs)); cy++) {
+                const key = cy * UV_GRID_SIZE + cx;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(vertices);
+            }
+        }
+    }
+
+    uvGrids.set(geometry, cells);
+    return cells;
+}
+
+/**
+ * Find the point of a mesh surface that has the given UV coordinates
+ * @param {Array<THREE.Mesh>} meshes - Meshes of one part
+ * @param {number} u - Texture coordinate (0-1, canvas x / width)
+ * @param {number} v - Texture coordinate (0-1, canvas y / height, textures are not flipped)
+ * @returns {{mesh: THREE.Mesh, position: THREE.Vector3, normal: THREE.Vector3|null}|null}
+ *   Position and normal in the mesh's local space; null if no triangle covers the UV
+ */
+function findSurfacePoint(meshes, u, v) {
+    if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+
+    const key = Math.min(UV_GRID_SIZE - 1, Math.floor(v * UV_GRID_SIZE)) * UV_GRID_SIZE +
+        Math.min(UV_GRID_SIZE - 1, Math.floor(u * UV_GRID_SIZE));
+
+    for (const mesh of meshes) {
+        const { uv, position, normal } = mesh.geometry.attributes;
+        if (!uv) continue;
+
+        for (const [a, b, c] of getUVGrid(mesh.geometry).get(key) || []) {
+            // Barycentric coordinates of (u, v) in the triangle's UVs
+            const x0 = uv.getX(a), y0 = uv.getY(a);
+            const d1x = uv.getX(b) - x0, d1y = uv.getY(b) - y0;
+            const d2x = uv.getX(c) - x0, d2y = uv.getY(c) - y0;
+            const det = d1x * d2y - d2x * d1y;
+            if (det === 0) continue;
+
+            const wb = ((u - x0) * d2y - d2x * (v - y0)) / det;
+            const wc = (d1x * (v - y0) - (u - x0) * d1y) / det;
+            const wa = 1 - wb - wc;
+            if (wa < 0 || wb < 0 || wc < 0) continue;
+
+            const interpolate = attribute => new THREE.Vector3()
+                .addScaledVector(new THREE.Vector3().fromBufferAttribute(attribute, a), wa)
+                .addScaledVector(new THREE.Vector3().fromBufferAttribute(attribute, b), wb)
+                .addScaledVector(new THREE.Vector3().fromBufferAttribute(attribute, c), wc);
+
+            return {
+                mesh,
+                position: interpolate(position),
+                normal: normal ? interpolate(normal).normalize() : null
+            };
+        }
+    }
+
+    return null;
+}
+
+class LogoGizmo {
+    /**
+     * @param {JerseyViewer} viewer - Viewer whose selected logo the gizmo manipulates
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.footprint = null; // Surface points of the selected logo, recomputed when it changes
+        this.footprintKey = null;
+        this.screenPoints = null; // Footprint projected to container pixels in the last frame
+        this.isMirrored = false; // Whether the part's UVs are mirrored on screen (rotation runs backwards)
+        this.drag = null;
+        this.createElements();
+    }
+
+    createElements() {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'logo-gizmo');
+        svg.style.display = 'none';
+
+        this.outline = document.createElementNS(SVG_NS, 'polygon');
+        this.outline.setAttribute('class', 'logo-gizmo-outline');
+        this.rotateLine = document.createElementNS(SVG_NS, 'line');
+        this.rotateLine.setAttribute('class', 'logo-gizmo-outline');
+        svg.append(this.outline, this.rotateLine);
+
+        this.handles = {};
+        [...CORNER_POINTS, 'rotate'].forEach(name => {
+            const handle = document.createElementNS(SVG_NS, 'circle');
+            handle.setAttribute('class', `logo-gizmo-handle logo-gizmo-${name === 'rotate' ? 'rotate' : 'scale'}`);
+            handle.setAttribute('r', name === 'rotate' ? 8 : 7);
+            handle.addEventListener('pointerdown', (event) => this.onHandlePointerDown(event, name));
+            handle.addEventListener('pointermove', (event) => this.onHandlePointerMove(event));
+            handle.addEventListener('pointerup', (event) => this.onHandlePointerUp(event));
+            handle.addEventListener('pointercancel', (event) => this.onHandlePointerUp(event));
+            this.handles[name] = handle;
+            svg.appendChild(handle);
+        });
+
+        this.svg = svg;
+        this.viewer.container.appendChild(svg);
+    }
+
+    // Meshes of a part in the current model (cached until the model changes)
+    getPartMeshes(partName) {
+        const model = this.viewer.current3DObject;
+        if (this.meshCacheModel !== model) {
+            this.meshCacheModel = model;
+            this.partMeshes = {};
+        }
+
+        if (!this.partMeshes[partName]) {
+            const meshes = [];
+            model.traverse((child) => {
+                if (child.isMesh && !this.viewer.shouldExcludeMaterial(child.material) &&
+                    this.viewer.materialToPartMap[child.material?.name || ''] === partName) {
+                    meshes.push(child);
+                }
+            });
+            this.partMeshes[partName] = meshes;
+        }
+        return this.partMeshes[partName];
+    }
+
+    // Map the logo's footprint on its part canvas onto the model surface
+    computeFootprint(partName, obj) {
+        const fabricCanvas = this.viewer.partCanvases[partName];
+        const meshes = this.getPartMeshes(partName);
+        const matrix = obj.calcTransformMatrix();
+        const width = fabricCanvas.getWidth();
+        const height = fabricCanvas.getHeight();
+
+        const footprint = {};
+        Object.entries(FOOTPRINT_POINTS).forEach(([name, [fx, fy]]) => {
+            const point = fabric.util.transformPoint(new fabric.Point(fx * obj.width, fy * obj.height), matrix);
+            footprint[name] = findSurfacePoint(meshes, point.x / width, point.y / height);
+        });
+        return footprint;
+    }
+
+    // Project a surface point to container pixels
+    projectPoint(surfacePoint, width, height) {
+        const world = surfacePoint.position.clone().applyMatrix4(surfacePoint.mesh.matrixWorld);
+        const ndc = world.project(this.viewer.camera);
+        return { x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height };
+    }
+
+    // Whether the surface point faces away from the camera (logo on the far side of the model)
+    isFacingAway(surfacePoint) {
+        if (!surfacePoint.normal) return false;
+
+        const world = surfacePoint.position.clone().applyMatrix4(surfacePoint.mesh.matrixWorld);
+        const normal = surfacePoint.normal.clone().transformDirection(surfacePoint.mesh.matrixWorld);
+        return normal.dot(this.viewer.camera.position.clone().sub(world)) < 0;
+    }
+
+    hide() {
+        this.svg.style.display = 'none';
+        this.screenPoints = null;
+    }
+
+    /**
+     * Reposition the handles for the current selection and camera (called every frame)
+     */
+    update() {
+        const viewer = this.viewer;
+        const selected = viewer.current3DObject ? viewer.getSelectedOverlay() : null;
+        if (!selected) {
+            this.footprintKey = null;
+            this.hide();
+            return;
+        }
+
+        const { partName, object } = selected;
+        const key = [partName, object.left, object.top, object.scaleX, object.scaleY, object.angle,
+            object.width, object.height, object.flipX, object.flipY].join('|');
+        if (key !== this.footprintKey || this.meshCacheModel !== viewer.current3DObject) {
+            this.footprint = this.computeFootprint(partName, object);
+            this.footprintKey = key;
+        }
+
+        const footprint = this.footprint;
+        if (!footprint.center || this.isFacingAway(footprint.center)) {
+            this.hide();
+            return;
+        }
+
+        const width = viewer.renderer.domElement.clientWidth;
+        const height = viewer.renderer.domElement.clientHeight;
+        const points = {};
+        Object.entries(footprint).forEach(([name, surfacePoint]) => {
+            points[name] = surfacePoint ? this.projectPoint(surfacePoint, width, height) : null;
+        });
+        this.screenPoints = points;
+
+        // Canvas x/y axes run clockwise (y down); on a mirrored UV island they run counter-clockwise
+        if (points.mr && points.mb) {
+            const cross = (points.mr.x - points.center.x) * (points.mb.y - points.center.y) -
+                (points.mr.y - points.center.y) * (points.mb.x - points.center.x);
+            this.isMirrored = cross < 0;
+        }
+
+        const outline = OUTLINE_POINTS.map(name => points[name]).filter(Boolean);
+        this.outline.setAttribute('points', outline.map(p => `${p.x},${p.y}`).join(' '));
+
+        CORNER_POINTS.forEach(name => this.placeHandle(this.handles[name], points[name]));
+
+        // Rotate handle: beyond the top edge, away from the center
+        const top = points.mt;
+        let rotatePoint = null;
+        if (top) {
+            const dx = top.x - points.center.x;
+            const dy = top.y - points.center.y;
+            const length = Math.hypot(dx, dy) || 1;
+            rotatePoint = {
+                x: top.x + dx / length * ROTATE_HANDLE_DISTANCE,
+                y: top.y + dy / length * ROTATE_HANDLE_DISTANCE
+            };
+            this.rotateLine.setAttribute('x1', top.x);
+            this.rotateLine.setAttribute('y1', top.y);
+            this.rotateLine.setAttribute('x2', rotatePoint.x);
+            this.rotateLine.setAttribute('y2', rotatePoint.y);
+        }
+        this.rotateLine.style.display = rotatePoint ? '' : 'none';
+        this.placeHandle(this.handles.rotate, rotatePoint);
+
+        this.svg.style.display = '';
+    }
+
+    placeHandle(handle, point) {
+        handle.style.display = point ? '' : 'none';
+        if (point) {
+            handle.setAttribute('cx', point.x);
+            handle.setAttribute('cy', point.y);
+        }
+    }
+
+    // Pointer position in container pixels
+    getPointerPosition(event) {
+        const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    onHandlePointerDown(event, handleName) {
+        const selected = this.viewer.getSelectedOverlay();
+        if (!selected || !this.screenPoints?.center || event.button !== 0) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        event.currentTarget.setPointerCapture(event.pointerId);
+
+        const center = { ...this.screenPoints.center };
+        const pointer = this.getPointerPosition(event);
+        this.drag = {
+            ...selected,
+            mode: handleName === 'rotate' ? 'rotate' : 'scale',
+            pointerId: event.pointerId,
+            center,
+            startDistance: Math.max(1, Math.hypot(pointer.x - center.x, pointer.y - center.y)),
+            startAngle: Math.atan2(pointer.y - center.y, pointer.x - center.x) * 180 / Math.PI,
+            before: this.viewer.getLogoTransform(selected.object),
+            isMirrored: this.isMirrored
+        };
+    }
+
+    onHandlePointerMove(event) {
+        const drag = this.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        const { object, before, center } = drag;
+        const pointer = this.getPointerPosition(event);
+
+        if (drag.mode === 'scale') {
+            // Same limits as the scale slider
+            const distance = Math.hypot(pointer.x - center.x, pointer.y - center.y);
+            const baseScale = object.baseScale || before.scaleX;
+            const scale = Math.min(baseScale * 3, Math.max(baseScale * 0.1, before.scaleX * distance / drag.startDistance));
+            object.set({ scaleX: scale, scaleY: scale });
+        } else {
+            const delta = Math.atan2(pointer.y - center.y, pointer.x - center.x) * 180 / Math.PI - drag.startAngle;
+            const angle = before.angle + (drag.isMirrored ? -delta : delta);
+            object.set({ angle: ((Math.round(angle) % 360) + 540) % 360 - 180 });
+        }
+
+        object.setCoords();
+        this.viewer.partCanvases[drag.partName].renderAll();
+        this.viewer.updateTexture(drag.partName);
+        this.viewer.updateLogoSliders(object);
+    }
+
+    onHandlePointerUp(event) {
+        const drag = this.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        this.drag = null;
+        const viewer = this.viewer;
+        viewer.recordLogoTransform(drag.partName, drag.object, drag.before,
+            viewer.getOverlayLabel(drag.object, drag.mode === 'scale' ? 'Scale' : 'Rotate'));
+    }
+
+    dispose() {
+        this.svg.remove();
+    }
+}
+
+export { LogoGizmo, findSurfacePoint };
@@ -0,0 +1,117 @@
+// Print export helpers
+// Resolution maths, PNG DPI metadata and the combined SVG print sheet used by the print-ready export
+
+const CM_PER_INCH = 2.54;
+
+// Largest canvas the browsers reliably allocate (per side and in total pixels)
+const MAX_PRINT_CANVAS_SIDE = 16384;
+const MAX_PRINT_CANVAS_AREA = 16384 * 8192;
+
+/**
+ * Work out how much a part region has to be upscaled to print at the requested DPI
+ * The multiplier is reduced when the output would exceed the browser canvas limits; the returned
+ * DPI is then lowered accordingly so the physical print size stays the same
+ * @param {Object} region - Crop region in canvas pixels ({ width, height })
+ * @param {number} canvasWidth - Width of the full texture canvas in pixels
+ * @param {number} sheetWidthCm - Physical width of the full texture sheet when printed
+ * @param {number} dpi - Requested print resolution
+ * @returns {{multiplier: number, dpi: number}}
+ */
+function getPrintScale(region, canvasWidth, sheetWidthCm, dpi) {
+    const sheetPixels = sheetWidthCm / CM_PER_INCH * dpi;
+    let multiplier = sheetPixels / canvasWidth;
+
+    const width = region.width * multiplier;
+    const height = region.height * multiplier;
+    const limit = Math.min(
+        MAX_PRINT_CANVAS_SIDE / Math.max(width, height),
+        Math.sqrt(MAX_PRINT_CANVAS_AREA / (width * height)),
+        1
+    );
+
+    if (limit < 1) {
+        console.warn(`Print output ${Math.round(width)}x${Math.round(height)} exceeds canvas limits, reducing to ${Math.round(dpi * limit)} DPI`);
+        multiplier *= limit;
+    }
+
+    return { multiplier, dpi: dpi * Math.min(limit, 1) };
+}
+
+// CRC-32 as used by PNG chunks
+let crcTable = null;
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write the print resolution into a PNG (pHYs chunk) so RIP software picks up the physical size
+ * @param {Blob} blob - PNG image as produced by canvas.toBlob()
+ * @param {number} dpi - Resolution to record
+ * @returns {Promise<Blob>} The PNG with a pHYs chunk after IHDR
+ */
+async function setPngResolution(blob, dpi) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    // Signature (8 bytes) + IHDR chunk (4 length + 4 type + 13 data + 4 crc)
+    const insertAt = 8 + 25;
+    const pixelsPerMeter = Math.round(dpi / CM_PER_INCH * 100);
+
+    const chunk = new Uint8Array(4 + 4 + 9 + 4);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMeter);
+    view.setUint32(12, pixelsPerMeter);
+    chunk[16] = 1; // Unit: meter
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    return new Blob([bytes.subarray(0, insertAt), chunk, bytes.subarray(insertAt)], { type: 'image/png' });
+}
+
+/**
+ * Combine the per-part SVG crops into one print sheet laid out like the texture
+ * @param {Array<{partName: string, region: Object, svg: string}>} parts - Part SVG documents
+ *   (as returned by fabric's toSVG with a viewBox) and their crop region in canvas pixels
+ * @param {Object} sheet
+ * @param {number} sheet.width - Texture width in pixels
+ * @param {number} sheet.height - Texture height in pixels
+ * @param {number} sheet.widthCm - Physical width of the printed sheet
+ * @returns {string} SVG document
+ */
+function buildPrintSheetSVG(parts, sheet) {
+    const heightCm = sheet.widthCm * sheet.height / sheet.width;
+
+    const groups = parts.map(({ partName, region, svg }) => {
+        // Nested <svg> keeps each part clipped to its own region; x/y place it on the sheet
+        const positioned = svg
+            .replace(/<\?xml[^>]*\?>\s*/, '')
+            .replace(/<!DOCTYPE[^>]*>\s*/, '')
+            .replace('<svg ', `<svg x="${region.left}" y="${region.top}" `);
+        return `  <g id="part-${partName}">\n${positioned}\n  </g>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ` +
+        `width="${sheet.widthCm}cm" height="${heightCm}cm" viewBox="0 0 ${sheet.width} ${sheet.height}">`,
+        ...groups,
+        '</svg>'
+    ].join('\n');
+}
+
+export { getPrintScale, setPngResolution, buildPrintSheetSVG };
@@ -0,0 +1,174 @@
+// GPU resource lifecycle
+// Three.js keeps geometries, materials and textures on the GPU until they are disposed explicitly;
+// removing an object from the scene frees nothing. ResourceTracker collects what a model (or the
+// whole viewer) owns so it can be released in one call, ModelCache keeps recently used GLBs parsed
+// so switching back to a variation does not download and parse it again.
+
+// Parsed GLBs kept in memory (each holds its geometries and textures on the GPU once rendered)
+const DEFAULT_MODEL_CACHE_LIMIT = 4;
+
+// Textures referenced by a material (map, normalMap, aoMap, ...)
+function getMaterialTextures(material) {
+    return Object.values(material).filter(value => value && value.isTexture);
+}
+
+class ResourceTracker {
+    constructor() {
+        this.resources = new Set();
+    }
+
+    /**
+     * Track a resource for disposal
+     * Objects are tracked with everything below them: geometries, materials and their textures
+     * (and the scene environment/background for scenes)
+     * @param {THREE.Object3D|THREE.Material|THREE.Material[]|THREE.BufferGeometry|THREE.Texture} resource
+     * @param {Object} [options]
+     * @param {boolean} [options.textures=true] - Also track the textures of materials (off for materials
+     *   that share their textures with resources owned elsewhere, like cloned materials)
+     * @returns The resource, so creation and tracking can be one expression
+     */
+    track(resource, options = {}) {
+        if (!resource) return resource;
+        const { textures = true } = options;
+
+        if (Array.isArray(resource)) {
+            resource.forEach(item => this.track(item, options));
+        } else if (resource.isObject3D) {
+            resource.traverse((child) => {
+                this.track(child.geometry, options);
+                this.track(child.material, options);
+                if (child.isScene) {
+                    this.track(child.environment, options);
+                    this.track(child.background, options);
+                }
+            });
+        } else if (resource.isMaterial) {
+            this.resources.add(resource);
+            if (textures) {
+                getMaterialTextures(resource).forEach(texture => this.resources.add(texture));
+            }
+        } else if (resource.isBufferGeometry || resource.isTexture) {
+            this.resources.add(resource);
+        }
+
+        return resource;
+    }
+
+    // Dispose everything tracked so far
+    dispose() {
+        this.resources.forEach(resource => {
+            resource.dispose();
+            // GLTFLoader decodes images to ImageBitmaps, which hold their memory until closed
+            const image = resource.isTexture ? resource.source?.data : null;
+            if (image && typeof image.close === 'function') {
+                image.close();
+            }
+        });
+        this.resources.clear();
+    }
+}
+
+class ModelCache {
+    /**
+     * @param {GLTFLoader} loader - Loader used for models that are not cached
+     * @param {Object} [options]
+     * @param {number} [options.limit=4] - Least recently used models beyond this many are disposed
+     */
+    constructor(loader, options = {}) {
+        this.loader = loader;
+        this.limit = options.limit || DEFAULT_MODEL_CACHE_LIMIT;
+        this.entries = new Map(); // URL -> { gltf, resources, users }, least recently used first
+        this.pending = new Map(); // URL -> { promise, listeners } of a load in flight
+    }
+
+    /**
+     * Get a parsed GLB, loading it if it is not cached
+     * The cached scene is shared: add a clone of gltf.scene to the scene, never the scene itself
+     * @param {string} url - GLB URL
+     * @param {Function} [onProgress] - Called with the loader's ProgressEvents (not called for cached models);
+     *   callers asking for a model that is already loading share its progress
+     * @returns {Promise<Object>} The GLTF result
+     */
+    load(url, onProgress) {
+        const entry = this.entries.get(url);
+        if (entry) {
+            // Move to the most recently used end
+            this.entries.delete(url);
+            this.entries.set(url, entry);
+            return Promise.resolve(entry.gltf);
+        }
+
+        let pending = this.pending.get(url);
+        if (!pending) {
+            const listeners = new Set();
+            const promise = new Promise((resolve, reject) => {
+                this.loader.load(url, resolve, (event) => listeners.forEach(listener => listener(event)), reject);
+            }).then((gltf) => {
+                const resources = new ResourceTracker();
+                resources.track(gltf.scene);
+                this.entries.set(url, { gltf, resources, users: 0 });
+                this.evict();
+                return gltf;
+            }).finally(() => {
+                this.pending.delete(url);
+            });
+            pending = { promise, listeners };
+            this.pending.set(url, pending);
+        }
+
+        if (onProgress) {
+            pending.listeners.add(onProgress);
+        }
+        return pending.promise;
+    }
+
+    has(url) {
+        return this.entries.has(url);
+    }
+
+    isPending(url) {
+        return this.pending.has(url);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Models that can be added (loads in flight included) before the least recently used is evicted
+    get freeSlots() {
+        return Math.max(0, this.limit - this.entries.size - this.pending.size);
+    }
+
+    // Mark a cached model as shown, so it is not evicted while on screen
+    acquire(url) {
+        const entry = this.entries.get(url);
+        if (entry) entry.users++;
+    }
+
+    release(url) {
+        const entry = this.entries.get(url);
+        if (entry && entry.users > 0) {
+            entry.users--;
+            this.evict();
+        }
+    }
+
+    // Dispose least recently used models beyond the limit (models in use are kept)
+    evict() {
+        for (const [url, entry] of this.entries) {
+            if (this.entries.size <= this.limit) break;
+            if (entry.users > 0) continue;
+
+            entry.resources.dispose();
+            this.entries.delete(url);
+        }
+    }
+
+    // Dispose all cached models
+    clear() {
+        this.entries.forEach(entry => entry.resources.dispose());
+        this.entries.clear();
+    }
+}
+
+export { ResourceTracker, ModelCache };
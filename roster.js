@@ -0,0 +1,92 @@
+// Roster import
+// Parses the CSV a team order comes with: one row per player with name, number and size.
+// The header row names the columns in any order; common variants ("Player", "No", "#") are accepted.
+// Spreadsheets with a comma decimal separator export ";" separated files, so both work.
+
+const COLUMN_ALIASES = {
+    name: ['name', 'player', 'player name', 'last name', 'surname'],
+    number: ['number', 'no', 'no.', 'nr', 'nr.', '#', 'num', 'jersey number', 'shirt number'],
+    size: ['size', 'jersey size', 'shirt size']
+};
+
+// Split CSV text into rows of fields (RFC 4180 quoting: "a, b" and "" for a literal quote)
+function parseCSV(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Parse a roster CSV file
+ * @param {string} text - File contents
+ * @returns {Array<{name: string, number: string, size: string}>} One entry per player, in file order
+ * @throws {Error} If the header has neither a name nor a number column, or there are no players
+ */
+function parseRosterCSV(text) {
+    const content = text.replace(/^\uFEFF/, ''); // Excel writes a byte order mark
+    const headerLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+    const [header = [], ...rows] = parseCSV(content, delimiter);
+    const headings = header.map(heading => heading.trim().toLowerCase());
+    const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([key, aliases]) =>
+        [key, headings.findIndex(heading => aliases.includes(heading))]
+    ));
+
+    if (columns.name === -1 && columns.number === -1) {
+        throw new Error('Roster needs a "name" or "number" column in its first row');
+    }
+
+    const read = (row, column) => (column === -1 ? '' : (row[column] || '').trim());
+    const players = rows
+        .map(row => ({
+            name: read(row, columns.name),
+            number: read(row, columns.number),
+            size: read(row, columns.size)
+        }))
+        .filter(player => player.name || player.number);
+
+    if (players.length === 0) {
+        throw new Error('Roster contains no players');
+    }
+
+    return players;
+}
+
+export { parseRosterCSV };
@@ -1,24 +1,148 @@
 // Design Viewer Script
 // Handles folder selection, file parsing, and button interactions
 
-let designName = null;
-let fileMap = {}; // Maps "collar_shoulder" to File object
+import {
+    VARIATIONS,
+    getVariationKey,
+    getVariationByKey,
+    getCollarIds,
+    getShoulderIds,
+    getModelPath,
+    parseDesignFilename
+} from './variations.js';
+import { getPrintScale, setPngResolution, buildPrintSheetSVG } from './print-export.js';
+import { createSessionConfig, parseSessionConfig } from './session-config.js';
+import { saveSessionFiles, saveSessionState, loadSession, clearSession } from './session-store.js';
+import { loadColorways, saveColorways, upsertColorway, createColorwaysFile, parseColorwaysFile } from './colorways.js';
+import { DEFAULT_TEXT_SETTINGS, loadFontFile, getAvailableFonts } from './text-layers.js';
+import { parseRosterCSV } from './roster.js';
+import {
+    TEXTURE_RESOLUTIONS,
+    loadTextureResolutionPreference,
+    saveTextureResolutionPreference
+} from './texture-resolution.js';
+
+let folderName = null; // Name of the dropped folder
+let designName = null; // Currently selected design
+let designFiles = {}; // Maps design name to { "collar_shoulder": File }
+let fileMap = {}; // Maps "collar_shoulder" to File object for the selected design
+let currentVariation = null; // { collar, shoulder } of the variation shown in the viewer
 let currentObjectURLs = []; // Track object URLs for cleanup
+let loadRequestId = 0; // Incremented per loadDesign() call
+let viewerModule = null; // threeD-script.js module, loaded on DOMContentLoaded
+
+// Compare mode state (second viewer on the right half of the page)
+let compareMode = false;
+let compareObjectURL = null;
+let compareLoadRequestId = 0;
+
+let isBatchRendering = false;
+let isLoadingDesign = false; // True while loadDesign() has a request in flight
+let preloadRunId = 0; // Incremented when the model preloader restarts (another design was selected)
+
+// Autosave (IndexedDB) state
+let autosaveTimer = null;
+let isRestoringSession = false;
+
+// Share of the overlay progress bar used by the GLB download (the rest covers texture application)
+const MODEL_PROGRESS_SHARE = 0.8;
+
+// Quiet period after the last change before the session is written to IndexedDB
+const AUTOSAVE_DELAY = 1500;
+
+// Display names of the jersey parts (keys match the viewer's part canvases)
+const PART_LABELS = {
+    'front': 'Front',
+    'back': 'Back',
+    'left-sleeve': 'Left sleeve',
+    'right-sleeve': 'Right sleeve',
+    'collar': 'Collar',
+    'collar2': 'Collar insert',
+    'hem': 'Hem'
+};
+
+let logoListFrame = null; // Pending requestAnimationFrame for renderLogoList()
+let logoListSignature = null; // What the logo list currently shows (skips redundant redraws)
+const logoIds = new WeakMap(); // Stable ids for placed logos, used in the signature
+let nextLogoId = 1;
+
+let textListFrame = null; // Pending requestAnimationFrame for renderTextList()
+let textListSignature = null; // What the text list currently shows
+const textIds = new WeakMap(); // Stable ids for text layers, used in the signature
+let nextTextId = 1;
+
+let paletteFrame = null; // Pending requestAnimationFrame for renderDesignPalette()
+let paletteSignature = null; // What the palette currently shows
+
+// Colorway presets of the selected design
+let colorways = [];
+const colorwayThumbnails = new Map(); // Colorway name -> { key, url }
+let isRenderingColorways = false;
+let colorwayThumbnailsStale = false; // Another refresh was requested while one was running
+const COLORWAY_THUMBNAIL_SIZE = 128; // Backing size in pixels (shown at 64 CSS px)
+
+// Part preview thumbnails in the Colors & Stripes panel
+const PART_THUMBNAIL_SIZE = 96; // Backing size in pixels (shown at 48 CSS px)
+const dirtyThumbnails = new Set();
+let thumbnailFrame = null;
+
+// Snapshot sizes offered in the export panel: a multiple of the viewport or a fixed size
+const SNAPSHOT_SIZES = {
+    '2x': { viewportScale: 2 },
+    '4x': { viewportScale: 4 },
+    '3000': { width: 3000, height: 3000 }
+};
+
+// Angles rendered by the batch export; part names refer to the camera preset positions
+// (null is the preset's initial 3/4 view)
+const BATCH_RENDER_ANGLES = [
+    { name: 'front', part: 'front' },
+    { name: 'back', part: 'back' },
+    { name: 'left', part: 'left-sleeve' },
+    { name: 'right', part: 'right-sleeve' },
+    { name: 'three_quarter', part: null }
+];
 
 // Wait for DOM and 3D script to be ready
 document.addEventListener('DOMContentLoaded', () => {
     // Import and initialize the 3D viewer
     import('./threeD-script.js').then(module => {
-        // Initialize the 3D viewer
+        viewerModule = module;
+
+        // Initialize the 3D viewer (at the texture resolution picked last time, if any)
         if (module.initViewer) {
-            module.initViewer();
+            module.initViewer({ textureResolution: loadTextureResolutionPreference() || undefined });
         }
 
         // Setup folder selection
         setupFolderSelection();
         
-        // Setup button handlers
+        // Build the variation buttons from the registry and setup their handlers
+        renderVariationButtons();
         setupButtonHandlers();
+
+        // Setup side-by-side compare controls
+        setupCompareControls();
+
+        // Setup the texture resolution dropdown
+        setupTextureResolutionControl();
+
+        // Setup export actions
+        setupExportControls();
+
+        // Setup save/open configuration
+        setupSessionControls();
+
+        // Setup the logo and stripe editor panels
+        setupLogoPanel();
+        setupTextPanel();
+        setupPalettePanel();
+        setupColorwaysPanel();
+        setupStripesPanel();
+
+        // Autosave every change and offer to restore the previous session
+        setupAutosave();
+        checkForSavedSession();
     }).catch(error => {
         console.error('Error loading 3D script:', error);
     });
@@ -67,9 +191,9 @@ function setupFolderSelection() {
             if (firstFile.webkitRelativePath) {
                 const pathParts = firstFile.webkitRelativePath.split('/');
                 if (pathParts.length > 1) {
-                    designName = pathParts[0];
+                    folderName = pathParts[0];
                     console.log('=== Folder selected via file input ===');
-                    console.log('Folder name:', designName);
+                    console.log('Folder name:', folderName);
                     console.log('Total files in folder:', files.length);
                     processFiles(files);
                 } else {
@@ -123,20 +247,21 @@ async function processDirectory(directoryEntry) {
         }
     }
     
-    designName = directoryEntry.name;
-    console.log('Processing directory:', designName);
+    folderName = directoryEntry.name;
+    console.log('Processing directory:', folderName);
     await collectFiles(directoryEntry);
     console.log('Total files collected:', files.length);
     processFiles(files);
 }
 
 function processFiles(files) {
-    // Clear previous file map
+    // Clear previous file maps
+    designFiles = {};
     fileMap = {};
     
     console.log('=== Processing files ===');
     console.log('Total files:', files.length);
-    console.log('Design name:', designName);
+    console.log('Folder name:', folderName);
     
     // Filter only SVG files and ignore .ai files
     const svgFiles = files.filter(file => {
@@ -147,110 +272,124 @@ function processFiles(files) {
     console.log('SVG files found:', svgFiles.length);
     svgFiles.forEach(f => console.log('  -', f.name));
 
-    // Extract design name from folder name or first file if not set
-    if (!designName && svgFiles.length > 0) {
-        const firstFile = svgFiles[0];
-        const filename = firstFile.name.toLowerCase().replace('.svg', '');
-        const parts = filename.split('_');
-        if (parts.length >= 3) {
-            designName = parts.slice(2).join('_');
-            console.log('Extracted design name from first file:', designName);
-        }
-    }
+    // Parse each SVG file and group it by design name - a folder may hold many designs
+    const validCollars = getCollarIds();
+    const validShoulders = getShoulderIds();
 
-    // Parse each SVG file - accept ALL files that match the pattern collar_shoulder_designName
-    // Important: shoulder can be "set_in" (contains underscore) or "reglan"
     svgFiles.forEach(file => {
-        const filename = file.name.toLowerCase().replace('.svg', '');
-        
-        let collar, shoulder, designPart, key;
-        
-        // Handle special case: v_neck_crossed (contains underscores)
-        if (filename.startsWith('v_neck_crossed_')) {
-            // Format: v_neck_crossed_shoulder_designName
-            const rest = filename.replace('v_neck_crossed_', '');
-            collar = 'v_neck_crossed';
-            
-            // Check if shoulder is "set_in" (contains underscore) or "reglan"
-            if (rest.startsWith('set_in_')) {
-                shoulder = 'set_in';
-                designPart = rest.replace('set_in_', '');
-                key = 'v_neck_crossed_set_in';
-            } else if (rest.startsWith('reglan_')) {
-                shoulder = 'reglan';
-                designPart = rest.replace('reglan_', '');
-                key = 'v_neck_crossed_reglan';
-            }
-        } else if (filename.startsWith('v_neck_')) {
-            // Format: v_neck_shoulder_designName (not crossed)
-            const rest = filename.replace('v_neck_', '');
-            collar = 'v_neck';
-            
-            // Check if shoulder is "set_in" (contains underscore) or "reglan"
-            if (rest.startsWith('set_in_')) {
-                shoulder = 'set_in';
-                designPart = rest.replace('set_in_', '');
-                key = 'v_neck_set_in';
-            } else if (rest.startsWith('reglan_')) {
-                shoulder = 'reglan';
-                designPart = rest.replace('reglan_', '');
-                key = 'v_neck_reglan';
-            }
-        } else {
-            // Format: collar_shoulder_designName (insert, round)
-            // Check for set_in first (contains underscore), then reglan
-            if (filename.includes('_set_in_')) {
-                const parts = filename.split('_set_in_');
-                if (parts.length === 2) {
-                    collar = parts[0]; // insert or round
-                    shoulder = 'set_in';
-                    designPart = parts[1];
-                    key = `${collar}_set_in`;
-                }
-            } else if (filename.includes('_reglan_')) {
-                const parts = filename.split('_reglan_');
-                if (parts.length === 2) {
-                    collar = parts[0]; // insert or round
-                    shoulder = 'reglan';
-                    designPart = parts[1];
-                    key = `${collar}_reglan`;
-                }
-            }
-        }
+        const parsed = parseDesignFilename(file.name);
         
         // Validate and add to map
-        if (key && collar && shoulder) {
-            const validCollars = ['insert', 'round', 'v_neck', 'v_neck_crossed'];
-            const validShoulders = ['set_in', 'reglan'];
+        if (parsed && parsed.designPart) {
+            const { collar, shoulder, designPart, key } = parsed;
             
             if (validCollars.includes(collar) && validShoulders.includes(shoulder)) {
+                const variations = designFiles[designPart] || (designFiles[designPart] = {});
+
                 // Only add if we don't already have a file for this key
-                if (!fileMap[key]) {
-                    fileMap[key] = file;
-                    console.log(`✓ Mapped: ${file.name} -> ${key} (collar: "${collar}", shoulder: "${shoulder}", design: "${designPart}")`);
+                if (!variations[key]) {
+                    variations[key] = file;
+                    console.log(`✓ Mapped: ${file.name} -> ${designPart}/${key} (collar: "${collar}", shoulder: "${shoulder}")`);
                 } else {
-                    console.log(`✗ Duplicate key ${key}, keeping: ${fileMap[key].name}, skipping: ${file.name}`);
+                    console.log(`✗ Duplicate key ${designPart}/${key}, keeping: ${variations[key].name}, skipping: ${file.name}`);
                 }
             } else {
                 console.log(`✗ Invalid collar/shoulder: ${file.name} (collar: "${collar}", shoulder: "${shoulder}")`);
             }
         } else {
-            console.log(`✗ Could not parse filename: ${file.name} (key: ${key}, collar: ${collar}, shoulder: ${shoulder})`);
+            console.log(`✗ Could not parse filename: ${file.name}`);
         }
     });
 
+    const designNames = getDesignNames();
     console.log('=== File mapping results ===');
-    console.log('File map keys:', Object.keys(fileMap));
-    console.log('Total mapped files:', Object.keys(fileMap).length);
-    Object.keys(fileMap).forEach(key => {
-        console.log(`  ${key}: ${fileMap[key].name}`);
+    console.log('Designs found:', designNames.length);
+    designNames.forEach(name => {
+        console.log(`  ${name}: ${Object.keys(designFiles[name]).join(', ')}`);
     });
 
+    // Keep the current design selected if it is still present, otherwise pick the first one
+    const nextDesign = designFiles[designName] ? designName : (designNames[0] || null);
+
     // Update UI first
-    updateUI();
+    renderDesignPicker();
+    selectDesign(nextDesign);
+    populateCompareDesigns();
     
-    // Validate files (async, won't block UI) - pass fileMap to check design name consistency
-    validateFiles(svgFiles, fileMap);
+    // Validate files (async, won't block UI)
+    validateFiles(svgFiles);
+
+    // Keep the files for crash recovery (a restored session already has them stored)
+    if (!isRestoringSession) {
+        saveSessionFiles(folderName, svgFiles).catch(error => {
+            console.warn('Could not store files for session recovery:', error);
+        });
+    }
+}
+
+// Design names of the dropped folder, sorted alphabetically
+function getDesignNames() {
+    return Object.keys(designFiles).sort();
+}
+
+// Make a design the active one: the variation buttons and the design info follow it
+// reloadVariation: show the current variation of the new design (off when the caller loads one itself)
+function selectDesign(name, reloadVariation = true) {
+    designName = name;
+    fileMap = (name && designFiles[name]) || {};
+
+    console.log('=== Selected design ===', designName);
+
+    document.querySelectorAll('.design-entry').forEach(entry => {
+        entry.classList.toggle('active', entry.dataset.design === designName);
+    });
+
+    updateUI();
+    loadDesignColorways();
+    preloadModels();
+
+    // Show the same variation of the newly selected design when it has one
+    if (reloadVariation && currentVariation) {
+        const key = getVariationKey(currentVariation.collar, currentVariation.shoulder);
+        if (fileMap[key]) {
+            loadDesign(currentVariation.collar, currentVariation.shoulder, fileMap[key]);
+        }
+    }
+}
+
+// List every design of the dropped folder with the variations it provides
+function renderDesignPicker() {
+    const pickerSection = document.getElementById('design-picker-section');
+    const designList = document.getElementById('design-list');
+    const designNames = getDesignNames();
+
+    designList.innerHTML = '';
+
+    designNames.forEach(name => {
+        const variationKeys = VARIATIONS
+            .map(({ collar, shoulder }) => getVariationKey(collar, shoulder))
+            .filter(key => designFiles[name][key]);
+
+        const entry = document.createElement('button');
+        entry.className = 'design-entry';
+        entry.dataset.design = name;
+
+        const title = document.createElement('span');
+        title.className = 'design-entry-name';
+        title.textContent = name;
+
+        const variations = document.createElement('span');
+        variations.className = 'design-entry-variations';
+        variations.textContent = `${variationKeys.length} variation${variationKeys.length === 1 ? '' : 's'}: ${variationKeys.join(', ')}`;
+
+        entry.appendChild(title);
+        entry.appendChild(variations);
+        entry.addEventListener('click', () => selectDesign(name));
+        designList.appendChild(entry);
+    });
+
+    // The picker is only useful when the folder holds more than one design
+    pickerSection.style.display = designNames.length > 1 ? 'block' : 'none';
 }
 
 function updateUI() {
@@ -258,6 +397,7 @@ function updateUI() {
     const designNameSpan = document.getElementById('design-name');
     const filesCountSpan = document.getElementById('files-count');
     const buttonsSection = document.getElementById('buttons-section');
+    const editorPanel = document.getElementById('editor-panel');
     const dropZone = document.getElementById('drop-zone');
 
     const mappedCount = Object.keys(fileMap).length;
@@ -276,8 +416,9 @@ function updateUI() {
         }
         filesCountSpan.textContent = mappedCount;
 
-        // Show buttons section
+        // Show buttons section and the editor panel
         buttonsSection.style.display = 'block';
+        editorPanel.style.display = 'block';
 
         // Update button states
         updateButtonStates();
@@ -287,6 +428,7 @@ function updateUI() {
     } else {
         designInfo.style.display = 'none';
         buttonsSection.style.display = 'none';
+        editorPanel.style.display = 'none';
         dropZone.classList.remove('has-files');
     }
 }
@@ -304,7 +446,7 @@ function updateButtonStates() {
         const collar = button.dataset.collar;
         const shoulder = button.dataset.shoulder;
         // Create key matching the format used in processFiles
-        const key = `${collar}_${shoulder}`;
+        const key = getVariationKey(collar, shoulder);
         
         const hasFile = !!fileMap[key];
         console.log(`Button: "${button.textContent.trim()}", collar: "${collar}", shoulder: "${shoulder}", key: "${key}", has file: ${hasFile}`);
@@ -321,6 +463,84 @@ function updateButtonStates() {
     
     console.log(`Enabled buttons: ${enabledCount} out of ${buttons.length}`);
     console.log('=== End button state update ===');
+
+    updateModelCacheIndicators();
+}
+
+// Mark the variation buttons whose GLB is parsed in memory (switching to them is instant)
+// or still loading in the background
+function updateModelCacheIndicators() {
+    const viewer = window.jerseyViewer;
+    if (!viewer) return;
+
+    document.querySelectorAll('.design-button').forEach(button => {
+        const state = viewer.getModelCacheState(getModelPath(button.dataset.collar, button.dataset.shoulder));
+        button.classList.toggle('model-cached', state === 'cached');
+        button.classList.toggle('model-loading', state === 'loading');
+        button.title = state === 'cached' ? 'Model ready' : state === 'loading' ? 'Model loading...' : '';
+    });
+}
+
+// How likely a variation is the next click, lower is more likely: after the shown variation people
+// usually try its other shoulder, then the other collars with the same shoulder
+function getPreloadPriority(key) {
+    if (!currentVariation) return 0;
+
+    const { collar, shoulder } = getVariationByKey(key);
+    if (collar === currentVariation.collar) return 0;
+    if (shoulder === currentVariation.shoulder) return 1;
+    return 2;
+}
+
+// Fetch and parse the GLBs of the selected design's variations in the background, one at a time and
+// most likely next click first (re-evaluated after each model, so it follows the user's clicks)
+// Stops once the model cache is full: preloads must not evict models the user has already seen
+async function preloadModels() {
+    const viewer = window.jerseyViewer;
+    if (!viewer) return;
+
+    const runId = ++preloadRunId;
+    const remaining = VARIATIONS
+        .map(({ collar, shoulder }) => getVariationKey(collar, shoulder))
+        .filter(key => fileMap[key]);
+
+    while (remaining.length > 0) {
+        const next = remaining.reduce((best, key) => (getPreloadPriority(key) < getPreloadPriority(best) ? key : best));
+        remaining.splice(remaining.indexOf(next), 1);
+
+        const { collar, shoulder } = getVariationByKey(next);
+        const modelPath = getModelPath(collar, shoulder);
+        if (viewer.getModelCacheState(modelPath) === 'cached') continue;
+
+        const preload = viewer.preloadModel(modelPath);
+        updateModelCacheIndicators();
+        let preloaded = true;
+        try {
+            preloaded = await preload;
+        } catch (error) {
+            console.warn(`Could not preload the ${next} model:`, error);
+        }
+        updateModelCacheIndicators();
+
+        if (runId !== preloadRunId || !preloaded) return;
+    }
+}
+
+// Create one design button per variation declared in the registry
+function renderVariationButtons() {
+    const buttonList = document.querySelector('#buttons-section .button-list');
+    buttonList.innerHTML = '';
+
+    VARIATIONS.forEach(({ collar, shoulder }) => {
+        const key = getVariationKey(collar, shoulder);
+        const button = document.createElement('button');
+        button.className = 'design-button';
+        button.id = `btn-${key}`;
+        button.dataset.collar = collar;
+        button.dataset.shoulder = shoulder;
+        button.textContent = key;
+        buttonList.appendChild(button);
+    });
 }
 
 function setupButtonHandlers() {
@@ -332,7 +552,7 @@ function setupButtonHandlers() {
             
             const collar = button.dataset.collar;
             const shoulder = button.dataset.shoulder;
-            const key = `${collar}_${shoulder}`;
+            const key = getVariationKey(collar, shoulder);
             
             const file = fileMap[key];
             if (!file) {
@@ -345,15 +565,20 @@ function setupButtonHandlers() {
     });
 }
 
-function loadDesign(collar, shoulder, file) {
+// Resolves to true once the model and the SVG are applied, false if loading failed or was superseded
+async function loadDesign(collar, shoulder, file) {
     if (!window.jerseyViewer) {
         console.error('Jersey viewer not initialized');
-        return;
+        return false;
     }
 
+    // Newer clicks win: results of an older request are ignored once it is superseded
+    const requestId = ++loadRequestId;
+    currentVariation = { collar, shoulder };
+    isLoadingDesign = true;
+
     // Show loading overlay
-    const loadingOverlay = document.getElementById('loading-overlay');
-    loadingOverlay.style.display = 'flex';
+    showLoadingOverlay('Loading model...');
 
     // Clean up previous object URLs
     currentObjectURLs.forEach(url => URL.revokeObjectURL(url));
@@ -367,205 +592,1505 @@ function loadDesign(collar, shoulder, file) {
     const modelPath = getModelPath(collar, shoulder);
     
     // Update variation label
-    const variationLabel = document.getElementById('variation-label');
-    const variationName = `${collar}_${shoulder}`;
-    variationLabel.textContent = variationName;
-    variationLabel.style.display = 'block';
+    const variationName = getVariationKey(collar, shoulder);
+    updateVariationLabel();
     
     console.log(`Loading design: ${collar}_${shoulder}_${designName}`);
     console.log(`Model: ${modelPath}`);
     console.log(`SVG: ${file.name}`);
 
-    // Load the 3D model first
-    window.jerseyViewer.loadModel(modelPath);
-    
-    // Wait a bit for model to start loading, then apply texture
-    // The model loading is async, so we'll apply texture after a short delay
-    setTimeout(() => {
-        window.jerseyViewer.loadSVGDesign(svgURL);
-        
-        // Hide loading overlay after texture is applied
-        setTimeout(() => {
-            loadingOverlay.style.display = 'none';
-        }, 1000);
-    }, 500);
+    try {
+        // Load the 3D model first - the texture can only be applied once the GLB is in the scene
+        const modelLoad = window.jerseyViewer.loadModel(modelPath, {
+            collar,
+            shoulder,
+            onProgress: (fraction) => {
+                if (requestId !== loadRequestId) return;
+                if (fraction === null) {
+                    setLoadingProgress(null, 'Loading model...');
+                } else {
+                    setLoadingProgress(fraction * MODEL_PROGRESS_SHARE, `Loading model... ${Math.round(fraction * 100)}%`);
+                }
+            }
+        });
+        updateModelCacheIndicators();
+        await modelLoad.finally(updateModelCacheIndicators);
+        if (requestId !== loadRequestId) return false;
+
+        setLoadingProgress(MODEL_PROGRESS_SHARE, 'Applying design...');
+        await window.jerseyViewer.loadSVGDesign(svgURL);
+        if (requestId !== loadRequestId) return false;
+
+        setLoadingProgress(1, 'Done');
+        hideLoadingOverlay();
+        isLoadingDesign = false;
+        scheduleAutosave();
+        refreshColorwayThumbnails();
+        return true;
+    } catch (error) {
+        if (requestId !== loadRequestId) return false;
+        console.error(`Error loading design ${variationName}:`, error);
+        showLoadingError(`Could not load ${variationName}: ${error?.message || error}`);
+        isLoadingDesign = false;
+        return false;
+    }
 }
 
-// Validation function
-async function validateFiles(svgFiles, fileMap) {
-    const errors = [];
-    const designNamesMap = new Map(); // Track design name for each file
-    
-    console.log('=== Validating files ===');
-    
-    // First pass: collect all design names from all files
-    for (const file of svgFiles) {
-        const filename = file.name.toLowerCase();
-        if (!filename.endsWith('.svg')) continue;
-        
-        const nameWithoutExt = filename.replace('.svg', '');
-        let designPart = null;
-        
-        // Extract design name using same logic as file processing
-        if (nameWithoutExt.startsWith('v_neck_crossed_')) {
-            const rest = nameWithoutExt.replace('v_neck_crossed_', '');
-            if (rest.startsWith('set_in_')) {
-                designPart = rest.replace('set_in_', '');
-            } else if (rest.startsWith('reglan_')) {
-                designPart = rest.replace('reglan_', '');
-            }
-        } else if (nameWithoutExt.startsWith('v_neck_')) {
-            const rest = nameWithoutExt.replace('v_neck_', '');
-            if (rest.startsWith('set_in_')) {
-                designPart = rest.replace('set_in_', '');
-            } else if (rest.startsWith('reglan_')) {
-                designPart = rest.replace('reglan_', '');
-            }
-        } else if (nameWithoutExt.includes('_set_in_')) {
-            const parts = nameWithoutExt.split('_set_in_');
-            if (parts.length === 2) {
-                designPart = parts[1];
-            }
-        } else if (nameWithoutExt.includes('_reglan_')) {
-            const parts = nameWithoutExt.split('_reglan_');
-            if (parts.length === 2) {
-                designPart = parts[1];
-            }
-        }
-        
-        if (designPart) {
-            designNamesMap.set(file.name, designPart);
-        }
+// Label at the bottom of the main view; in compare mode it also names the design
+function updateVariationLabel() {
+    const variationLabel = document.getElementById('variation-label');
+    if (!currentVariation) return;
+
+    const key = getVariationKey(currentVariation.collar, currentVariation.shoulder);
+    variationLabel.textContent = compareMode ? `${designName} · ${key}` : key;
+    variationLabel.style.display = 'block';
+}
+
+// ==================== COMPARE MODE ====================
+
+function setupCompareControls() {
+    const compareToggle = document.getElementById('compare-toggle');
+    const compareDesignSelect = document.getElementById('compare-design-select');
+    const compareVariationSelect = document.getElementById('compare-variation-select');
+
+    compareToggle.addEventListener('change', () => setCompareMode(compareToggle.checked));
+
+    compareDesignSelect.addEventListener('change', () => {
+        populateCompareVariations();
+        loadCompareDesign();
+    });
+    compareVariationSelect.addEventListener('change', () => loadCompareDesign());
+}
+
+// Split the page into two synchronized views, or go back to a single view
+function setCompareMode(enabled) {
+    if (!viewerModule) return;
+
+    compareMode = enabled;
+    document.body.classList.toggle('compare-mode', enabled);
+    document.getElementById('compare-controls').style.display = enabled ? 'block' : 'none';
+
+    if (enabled) {
+        // The container must be visible before the second renderer measures it
+        const compareViewer = viewerModule.initCompareViewer();
+        compareViewer.setRenderingPaused(false);
+        compareViewer.resize();
+
+        populateCompareDesigns();
+        loadCompareDesign();
+    } else if (window.compareViewer) {
+        window.compareViewer.setRenderingPaused(true);
     }
-    
-    // Check for design name consistency - use most common design name as expected
-    // Count occurrences of each design name
-    const designNameCounts = new Map();
-    designNamesMap.forEach(designName => {
-        designNameCounts.set(designName, (designNameCounts.get(designName) || 0) + 1);
+
+    window.jerseyViewer.resize();
+    updateVariationLabel();
+}
+
+// Fill the compare design dropdown, keeping the current choice when possible
+function populateCompareDesigns() {
+    const compareDesignSelect = document.getElementById('compare-design-select');
+    const previous = compareDesignSelect.value;
+
+    compareDesignSelect.innerHTML = '';
+    getDesignNames().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        compareDesignSelect.appendChild(option);
     });
-    
-    const uniqueDesignNames = Array.from(designNameCounts.keys());
-    const hasInconsistentDesignNames = uniqueDesignNames.length > 1;
-    
-    // Find the most common design name
-    let expectedDesignName = null;
-    let maxCount = 0;
-    designNameCounts.forEach((count, name) => {
-        if (count > maxCount) {
-            maxCount = count;
-            expectedDesignName = name;
-        }
+
+    compareDesignSelect.value = designFiles[previous] ? previous : (designName || '');
+    populateCompareVariations();
+}
+
+// Fill the compare variation dropdown with the variations the chosen design provides
+// Defaults to a variation other than the one in the main view
+function populateCompareVariations() {
+    const compareDesign = document.getElementById('compare-design-select').value;
+    const compareVariationSelect = document.getElementById('compare-variation-select');
+    const previous = compareVariationSelect.value;
+    const files = designFiles[compareDesign] || {};
+
+    const keys = VARIATIONS
+        .map(({ collar, shoulder }) => getVariationKey(collar, shoulder))
+        .filter(key => files[key]);
+
+    compareVariationSelect.innerHTML = '';
+    keys.forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = key;
+        compareVariationSelect.appendChild(option);
     });
-    
-    if (hasInconsistentDesignNames) {
-        console.warn('⚠️ Design name inconsistency detected:', uniqueDesignNames);
-        console.warn(`Expected design name: "${expectedDesignName}" (appears in ${maxCount} files)`);
+
+    const mainKey = currentVariation ? getVariationKey(currentVariation.collar, currentVariation.shoulder) : null;
+    if (keys.includes(previous)) {
+        compareVariationSelect.value = previous;
+    } else if (compareDesign === designName) {
+        compareVariationSelect.value = keys.find(key => key !== mainKey) || keys[0] || '';
+    } else {
+        compareVariationSelect.value = keys.includes(mainKey) ? mainKey : (keys[0] || '');
     }
-    
-    for (const file of svgFiles) {
-        const fileErrors = [];
-        const filename = file.name;
-        const filenameLower = filename.toLowerCase();
-        
-        // Check file extension
-        if (!filenameLower.endsWith('.svg')) {
-            fileErrors.push('File must have .svg extension');
-            continue; // Skip further validation for non-SVG files
-        }
-        
-        // Check for spaces
-        if (filename.includes(' ')) {
-            fileErrors.push('Filename contains spaces (not allowed)');
-        }
-        
-        // Check for capital letters
-        if (filename !== filenameLower) {
-            fileErrors.push('Filename contains capital letters (use lowercase only)');
-        }
-        
-        // Check for invalid symbols (only allow letters, numbers, underscores, and dots)
-        // Note: We allow dots for the extension, but check that there's only one dot (for extension)
-        const nameWithoutExt = filenameLower.replace('.svg', '');
-        const invalidSymbols = /[^a-z0-9_]/g;
-        if (invalidSymbols.test(nameWithoutExt)) {
-            fileErrors.push('Filename contains invalid symbols (only lowercase letters, numbers, and underscores allowed)');
-        }
-        
-        // Check for multiple dots (should only have one for extension)
-        const dotCount = (filename.match(/\./g) || []).length;
-        if (dotCount > 1) {
-            fileErrors.push('Filename contains multiple dots (only one dot allowed for file extension)');
+}
+
+// Load the chosen design/variation into the compare viewer
+async function loadCompareDesign() {
+    const compareViewer = window.compareViewer;
+    if (!compareMode || !compareViewer) return;
+
+    const compareDesign = document.getElementById('compare-design-select').value;
+    const key = document.getElementById('compare-variation-select').value;
+    const variation = getVariationByKey(key);
+    const file = designFiles[compareDesign]?.[key];
+    if (!variation || !file) return;
+
+    const requestId = ++compareLoadRequestId;
+    const compareLabel = document.getElementById('variation-label-compare');
+    compareLabel.classList.remove('error');
+    compareLabel.textContent = `${compareDesign} · ${key} (loading...)`;
+    compareLabel.style.display = 'block';
+
+    if (compareObjectURL) {
+        URL.revokeObjectURL(compareObjectURL);
+    }
+    compareObjectURL = URL.createObjectURL(file);
+
+    try {
+        const { collar, shoulder } = variation;
+        await compareViewer.loadModel(getModelPath(collar, shoulder), { collar, shoulder });
+        if (requestId !== compareLoadRequestId) return;
+
+        await compareViewer.loadSVGDesign(compareObjectURL);
+        if (requestId !== compareLoadRequestId) return;
+
+        compareLabel.textContent = `${compareDesign} · ${key}`;
+    } catch (error) {
+        if (requestId !== compareLoadRequestId) return;
+        console.error(`Error loading compare design ${compareDesign}/${key}:`, error);
+        compareLabel.classList.add('error');
+        compareLabel.textContent = `Could not load ${compareDesign} · ${key}`;
+    }
+}
+
+// ==================== LOGO PANEL ====================
+
+function setupLogoPanel() {
+    const dropZone = document.getElementById('logo-drop-zone');
+    const fileInput = document.getElementById('logo-file-input');
+
+    populatePartSelect(document.getElementById('jersey-part-select-working'));
+
+    dropZone.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        uploadLogoFiles(Array.from(e.target.files));
+        // Reset so the same file can be uploaded again
+        fileInput.value = '';
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('drag-over');
+    });
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+        uploadLogoFiles(Array.from(e.dataTransfer.files));
+    });
+
+    // Every canvas edit goes through the viewer's change notification; redraw the list once per frame
+    window.jerseyViewer.onChange(() => {
+        if (logoListFrame) return;
+        logoListFrame = requestAnimationFrame(() => {
+            logoListFrame = null;
+            renderLogoList();
+        });
+    });
+
+    renderLogoList();
+}
+
+// Fill a part dropdown with the parts the viewer has canvases for
+function populatePartSelect(select, selectedPart = 'front') {
+    select.innerHTML = '';
+    Object.keys(window.jerseyViewer.partCanvases).forEach(partName => {
+        const option = document.createElement('option');
+        option.value = partName;
+        option.textContent = PART_LABELS[partName] || partName;
+        select.appendChild(option);
+    });
+    select.value = selectedPart;
+}
+
+// Place each image file as a logo on the part chosen in the target part dropdown
+function uploadLogoFiles(files) {
+    const images = files.filter(file => file.type.startsWith('image/'));
+    if (images.length < files.length) {
+        console.warn(`Ignored ${files.length - images.length} file(s) that are not images`);
+    }
+
+    if (!window.jerseyViewer.current3DObject) {
+        showLoadingError('Load a design variation before adding logos');
+        return;
+    }
+
+    images.forEach(file => {
+        // Data URLs (rather than object URLs) survive cloning, saving and print export
+        const reader = new FileReader();
+        reader.onload = () => window.jerseyViewer.readLogo(reader.result, file.name);
+        reader.onerror = () => console.error(`Could not read logo ${file.name}:`, reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// List placed logos per part; clicking one selects it, × deletes it
+function renderLogoList() {
+    const logoList = document.getElementById('logo-list');
+    const placed = window.jerseyViewer.getPlacedLogos();
+
+    // Logo drags notify on every frame; only redraw when logos were added, removed or (de)selected
+    const signature = placed.map(({ partName, logo, isActive }) => {
+        if (!logoIds.has(logo)) logoIds.set(logo, nextLogoId++);
+        return `${partName}:${logoIds.get(logo)}:${isActive}`;
+    }).join('|');
+    if (signature === logoListSignature) return;
+    logoListSignature = signature;
+
+    logoList.innerHTML = '';
+
+    if (placed.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'logo-list-empty';
+        empty.textContent = 'No logos placed yet';
+        logoList.appendChild(empty);
+        return;
+    }
+
+    let currentPart = null;
+    placed.forEach(({ partName, logo, isActive }, index) => {
+        if (partName !== currentPart) {
+            currentPart = partName;
+            const heading = document.createElement('div');
+            heading.className = 'logo-list-part';
+            heading.textContent = PART_LABELS[partName] || partName;
+            logoList.appendChild(heading);
         }
-        
-        // Check naming convention: collar_shoulder_designName.svg
-        const nameWithoutExtForValidation = filenameLower.replace('.svg', '');
-        
-        // Check if it follows the pattern
-        let hasNamingError = false;
-        
-        // Try to parse the filename
-        let collar, shoulder, designPart;
-        
-        if (nameWithoutExtForValidation.startsWith('v_neck_crossed_')) {
-            const rest = nameWithoutExtForValidation.replace('v_neck_crossed_', '');
-            if (rest.startsWith('set_in_')) {
-                collar = 'v_neck_crossed';
-                shoulder = 'set_in';
-                designPart = rest.replace('set_in_', '');
-            } else if (rest.startsWith('reglan_')) {
-                collar = 'v_neck_crossed';
-                shoulder = 'reglan';
-                designPart = rest.replace('reglan_', '');
-            } else {
-                hasNamingError = true;
+
+        const entry = document.createElement('div');
+        entry.className = `logo-entry${isActive ? ' active' : ''}`;
+        entry.addEventListener('click', () => {
+            document.getElementById('jersey-part-select-working').value = partName;
+            window.jerseyViewer.selectLogo(partName, logo);
+        });
+
+        const thumbnail = document.createElement('img');
+        thumbnail.src = logo.getSrc();
+        thumbnail.alt = '';
+
+        const name = document.createElement('span');
+        name.className = 'logo-entry-name';
+        name.textContent = logo.logoLabel || `Logo ${index + 1}`;
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'logo-entry-remove';
+        removeButton.title = 'Delete logo';
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.jerseyViewer.removeLogo(partName, logo);
+        });
+
+        entry.append(thumbnail, name, removeButton);
+        logoList.appendChild(entry);
+    });
+}
+
+// ==================== NAME & NUMBER PANEL ====================
+
+function setupTextPanel() {
+    const viewer = window.jerseyViewer;
+    const fontInput = document.getElementById('text-font-input');
+
+    // Names and numbers usually go on the back
+    populatePartSelect(document.getElementById('text-part-select'), 'back');
+    renderFontOptions(DEFAULT_TEXT_SETTINGS.fontFamily);
+
+    document.getElementById('text-add-name').addEventListener('click', () => addText('name'));
+    document.getElementById('text-add-number').addEventListener('click', () => addText('number'));
+    document.getElementById('text-name-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addText('name');
+    });
+    document.getElementById('text-number-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addText('number');
+    });
+
+    // Style controls edit the selected text layer; without a selection they style the next one added
+    const bindSetting = (id, property, eventName, read) => {
+        const input = document.getElementById(id);
+        input.addEventListener(eventName, () => {
+            const selected = getSelectedTextLayer();
+            if (selected) {
+                viewer.updateTextLayer(selected.partName, selected.textObject, { [property]: read(input) })
+                    .catch(error => console.error('Error updating text:', error));
             }
-        } else if (nameWithoutExtForValidation.startsWith('v_neck_')) {
-            const rest = nameWithoutExtForValidation.replace('v_neck_', '');
-            if (rest.startsWith('set_in_')) {
-                collar = 'v_neck';
-                shoulder = 'set_in';
-                designPart = rest.replace('set_in_', '');
-            } else if (rest.startsWith('reglan_')) {
-                collar = 'v_neck';
-                shoulder = 'reglan';
-                designPart = rest.replace('reglan_', '');
-            } else {
-                hasNamingError = true;
+        });
+    };
+    bindSetting('text-content', 'text', 'input', input => input.value);
+    bindSetting('text-font', 'fontFamily', 'change', input => input.value);
+    bindSetting('text-fill', 'fill', 'input', input => input.value);
+    bindSetting('text-stroke', 'stroke', 'input', input => input.value);
+    bindSetting('text-stroke-width', 'strokeWidth', 'input', input => parseFloat(input.value));
+    bindSetting('text-arc', 'arc', 'input', input => parseFloat(input.value));
+    bindSetting('text-autofit', 'autoFit', 'change', input => input.checked);
+
+    document.getElementById('text-font-upload').addEventListener('click', () => fontInput.click());
+    fontInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        // Reset so the same file can be loaded again
+        fontInput.value = '';
+        if (!file) return;
+
+        try {
+            const family = await loadFontFile(file);
+            renderFontOptions(family);
+            document.getElementById('text-font').dispatchEvent(new Event('change'));
+            console.log(`✓ Font loaded: ${family}`);
+        } catch (error) {
+            console.error('Error loading font:', error);
+            showLoadingError(error.message);
+        }
+    });
+
+    viewer.onChange(() => {
+        if (textListFrame) return;
+        textListFrame = requestAnimationFrame(() => {
+            textListFrame = null;
+            renderTextList();
+        });
+    });
+
+    renderTextList();
+}
+
+// Fill the font dropdown (fonts loaded from files are added after the built-in ones)
+function renderFontOptions(selectedFamily) {
+    const fontSelect = document.getElementById('text-font');
+    fontSelect.innerHTML = '';
+    getAvailableFonts().forEach(family => {
+        const option = document.createElement('option');
+        option.value = family;
+        option.textContent = family;
+        option.style.fontFamily = `"${family}"`;
+        fontSelect.appendChild(option);
+    });
+    fontSelect.value = selectedFamily;
+}
+
+// Text style from the panel controls
+function getTextControlSettings() {
+    return {
+        fontFamily: document.getElementById('text-font').value,
+        fill: document.getElementById('text-fill').value,
+        stroke: document.getElementById('text-stroke').value,
+        strokeWidth: parseFloat(document.getElementById('text-stroke-width').value),
+        arc: parseFloat(document.getElementById('text-arc').value),
+        autoFit: document.getElementById('text-autofit').checked
+    };
+}
+
+// Add the typed name or number to the part chosen in the text part dropdown
+function addText(role) {
+    const input = document.getElementById(role === 'number' ? 'text-number-input' : 'text-name-input');
+    const text = input.value.trim();
+    if (!text) return;
+
+    if (!window.jerseyViewer.current3DObject) {
+        showLoadingError('Load a design variation before adding names and numbers');
+        return;
+    }
+
+    const partName = document.getElementById('text-part-select').value;
+    window.jerseyViewer.addTextLayer(partName, { ...getTextControlSettings(), role, text })
+        .then(() => { input.value = ''; })
+        .catch(error => console.error(`Error adding ${role}:`, error));
+}
+
+function getSelectedTextLayer() {
+    return window.jerseyViewer.getTextLayers().find(layer => layer.isActive) || null;
+}
+
+// Show the selected text layer's settings in the controls
+function syncTextControls() {
+    const selected = getSelectedTextLayer();
+    const contentInput = document.getElementById('text-content');
+    contentInput.disabled = !selected;
+    if (!selected) {
+        contentInput.value = '';
+        return;
+    }
+
+    const settings = selected.textObject.textSettings;
+    if (document.activeElement !== contentInput) {
+        contentInput.value = settings.text;
+    }
+    // Fonts of a restored session are loaded by the viewer, so the dropdown may not list them yet
+    const fontSelect = document.getElementById('text-font');
+    if (Array.from(fontSelect.options).some(option => option.value === settings.fontFamily)) {
+        fontSelect.value = settings.fontFamily;
+    } else {
+        renderFontOptions(settings.fontFamily);
+    }
+    document.getElementById('text-fill').value = settings.fill;
+    document.getElementById('text-stroke').value = settings.stroke;
+    document.getElementById('text-stroke-width').value = settings.strokeWidth;
+    document.getElementById('text-arc').value = settings.arc;
+    document.getElementById('text-autofit').checked = settings.autoFit;
+}
+
+// List placed names and numbers per part; clicking one selects it, × deletes it
+function renderTextList() {
+    const textList = document.getElementById('text-list');
+    const layers = window.jerseyViewer.getTextLayers();
+
+    // Redraw only when texts were added, removed, edited or (de)selected
+    const signature = layers.map(({ partName, textObject, isActive }) => {
+        if (!textIds.has(textObject)) textIds.set(textObject, nextTextId++);
+        return `${partName}:${textIds.get(textObject)}:${isActive}:${JSON.stringify(textObject.textSettings)}`;
+    }).join('|');
+    if (signature === textListSignature) return;
+    textListSignature = signature;
+
+    syncTextControls();
+    textList.innerHTML = '';
+
+    if (layers.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'logo-list-empty';
+        empty.textContent = 'No names or numbers placed yet';
+        textList.appendChild(empty);
+        return;
+    }
+
+    let currentPart = null;
+    layers.forEach(({ partName, textObject, isActive }) => {
+        if (partName !== currentPart) {
+            currentPart = partName;
+            const heading = document.createElement('div');
+            heading.className = 'logo-list-part';
+            heading.textContent = PART_LABELS[partName] || partName;
+            textList.appendChild(heading);
+        }
+
+        const entry = document.createElement('div');
+        entry.className = `logo-entry${isActive ? ' active' : ''}`;
+        entry.addEventListener('click', () => {
+            document.getElementById('text-part-select').value = partName;
+            window.jerseyViewer.selectLogo(partName, textObject);
+        });
+
+        const name = document.createElement('span');
+        name.className = 'logo-entry-name';
+        name.textContent = `${textObject.textSettings.role === 'number' ? '#' : ''}${textObject.textSettings.text}`;
+        name.style.fontFamily = `"${textObject.textSettings.fontFamily}"`;
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'logo-entry-remove';
+        removeButton.title = 'Delete text';
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.jerseyViewer.removeTextLayer(partName, textObject);
+        });
+
+        entry.append(name, removeButton);
+        textList.appendChild(entry);
+    });
+}
+
+// ==================== DESIGN COLORS PANEL ====================
+
+function setupPalettePanel() {
+    const viewer = window.jerseyViewer;
+
+    document.getElementById('design-palette-reset').addEventListener('click', () => {
+        viewer.editDesignColors({});
+    });
+
+    // Loading a design, recoloring and undo all end in a change notification
+    viewer.onChange(() => {
+        if (paletteFrame) return;
+        paletteFrame = requestAnimationFrame(() => {
+            paletteFrame = null;
+            renderDesignPalette();
+        });
+    });
+
+    renderDesignPalette();
+}
+
+// One entry per design color: original swatch (click to restore), replacement picker, area share
+function renderDesignPalette() {
+    const container = document.getElementById('design-palette');
+    const palette = window.jerseyViewer.getDesignPalette();
+
+    const signature = palette.map(entry => `${entry.color}:${entry.mappedColor}`).join('|');
+    if (signature === paletteSignature) return;
+    paletteSignature = signature;
+
+    container.innerHTML = '';
+
+    if (palette.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'logo-list-empty';
+        empty.textContent = 'Load a design to see its colors';
+        container.appendChild(empty);
+        return;
+    }
+
+    palette.forEach(({ color, mappedColor, coverage, isBase }) => {
+        const entry = document.createElement('div');
+        entry.className = 'palette-entry';
+
+        const original = document.createElement('span');
+        original.className = 'palette-original';
+        original.style.background = color;
+        original.title = `Original ${color} (click to restore)`;
+        original.addEventListener('click', () => window.jerseyViewer.editDesignColor(color, null));
+
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        picker.value = mappedColor;
+        picker.title = isBase ? 'Base color (overridden per part by the part base color)' : color;
+        picker.addEventListener('input', () => window.jerseyViewer.editDesignColor(color, picker.value));
+
+        const share = document.createElement('span');
+        share.className = 'palette-coverage';
+        share.textContent = isBase ? 'Base' : `${Math.round(coverage * 100)}%`;
+
+        entry.append(original, picker, share);
+        container.appendChild(entry);
+    });
+}
+
+// ==================== COLORWAYS PANEL ====================
+
+function setupColorwaysPanel() {
+    const nameInput = document.getElementById('colorway-name');
+    const fileInput = document.getElementById('colorway-file-input');
+
+    document.getElementById('colorway-save').addEventListener('click', () => saveCurrentColorway());
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveCurrentColorway();
+    });
+
+    document.getElementById('colorway-export').addEventListener('click', () => exportColorways());
+    document.getElementById('colorway-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        // Reset so the same file can be imported again
+        fileInput.value = '';
+        if (file) {
+            importColorways(file);
+        }
+    });
+
+    renderColorwayGrid();
+}
+
+// Show the colorways saved for the selected design (thumbnails follow once its variation is loaded)
+function loadDesignColorways() {
+    colorways = designName ? loadColorways(designName) : [];
+    colorwayThumbnails.clear();
+    renderColorwayGrid();
+}
+
+function persistColorways() {
+    try {
+        saveColorways(designName, colorways);
+    } catch (error) {
+        console.error('Error saving colorways:', error);
+        showLoadingError(`Could not save colorways: ${error.message}`);
+    }
+    renderColorwayGrid();
+    refreshColorwayThumbnails();
+}
+
+// Save the jersey's current colors under the typed name (an existing colorway of that name is replaced)
+function saveCurrentColorway() {
+    const nameInput = document.getElementById('colorway-name');
+    const name = nameInput.value.trim();
+    if (!designName || !name) return;
+
+    colorways = upsertColorway(colorways, { name, ...window.jerseyViewer.getColorway() });
+    nameInput.value = '';
+    persistColorways();
+    console.log(`✓ Colorway saved: ${name}`);
+}
+
+function deleteColorway(name) {
+    colorways = colorways.filter(colorway => colorway.name !== name);
+    colorwayThumbnails.delete(name);
+    persistColorways();
+}
+
+function exportColorways() {
+    if (!designName || colorways.length === 0) return;
+
+    const file = createColorwaysFile(designName, colorways);
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${designName}_colorways.json`);
+}
+
+// Add the colorways of an exported file to the selected design (same names are replaced)
+async function importColorways(file) {
+    if (!designName) return;
+
+    let imported;
+    try {
+        imported = parseColorwaysFile(await file.text());
+    } catch (error) {
+        console.error('Error reading colorways:', error);
+        showLoadingError(`Could not import ${file.name}: ${error.message}`);
+        return;
+    }
+
+    imported.forEach(colorway => {
+        colorways = upsertColorway(colorways, colorway);
+    });
+    persistColorways();
+    console.log(`✓ Imported ${imported.length} colorway(s) from ${file.name}`);
+}
+
+function renderColorwayGrid() {
+    const grid = document.getElementById('colorway-grid');
+    grid.innerHTML = '';
+
+    if (colorways.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'logo-list-empty';
+        empty.textContent = 'No colorways saved for this design';
+        grid.appendChild(empty);
+        return;
+    }
+
+    colorways.forEach(colorway => {
+        const card = document.createElement('div');
+        card.className = 'colorway-card';
+        card.title = `Apply ${colorway.name}`;
+        card.addEventListener('click', () => {
+            window.jerseyViewer.applyColorway(colorway).catch(error => {
+                console.error(`Error applying colorway ${colorway.name}:`, error);
+            });
+        });
+
+        // Until its thumbnail is rendered a colorway shows its front base color
+        const thumbnail = colorwayThumbnails.get(colorway.name);
+        let preview;
+        if (thumbnail) {
+            preview = document.createElement('img');
+            preview.src = thumbnail.url;
+            preview.alt = '';
+        } else {
+            preview = document.createElement('div');
+            preview.className = 'colorway-placeholder';
+            preview.style.background = colorway.partColors.front || '#f3f4f6';
+        }
+
+        const name = document.createElement('span');
+        name.textContent = colorway.name;
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'logo-entry-remove';
+        removeButton.title = 'Delete colorway';
+        removeButton.textContent = '×';
+        removeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteColorway(colorway.name);
+        });
+
+        card.append(preview, name, removeButton);
+        grid.appendChild(card);
+    });
+}
+
+// Render thumbnails of colorways whose colors or model changed since their last thumbnail
+async function refreshColorwayThumbnails() {
+    if (isRenderingColorways) {
+        colorwayThumbnailsStale = true;
+        return;
+    }
+    if (!currentVariation || isLoadingDesign || isBatchRendering || !window.jerseyViewer.current3DObject) return;
+
+    const modelKey = getVariationKey(currentVariation.collar, currentVariation.shoulder);
+    const keys = new Map(colorways.map(colorway => [colorway.name, `${modelKey}|${JSON.stringify(colorway)}`]));
+    const missing = colorways.filter(colorway => colorwayThumbnails.get(colorway.name)?.key !== keys.get(colorway.name));
+    if (missing.length === 0) return;
+
+    isRenderingColorways = true;
+    try {
+        const urls = await window.jerseyViewer.renderColorwayThumbnails(missing, COLORWAY_THUMBNAIL_SIZE);
+        missing.forEach((colorway, i) => {
+            if (urls[i]) {
+                colorwayThumbnails.set(colorway.name, { key: keys.get(colorway.name), url: urls[i] });
             }
-        } else if (nameWithoutExtForValidation.includes('_set_in_')) {
-            const parts = nameWithoutExtForValidation.split('_set_in_');
-            if (parts.length === 2) {
-                collar = parts[0];
-                shoulder = 'set_in';
-                designPart = parts[1];
-            } else {
-                hasNamingError = true;
+        });
+        renderColorwayGrid();
+    } catch (error) {
+        console.error('Error rendering colorway thumbnails:', error);
+    } finally {
+        isRenderingColorways = false;
+    }
+
+    if (colorwayThumbnailsStale) {
+        colorwayThumbnailsStale = false;
+        refreshColorwayThumbnails();
+    }
+}
+
+// ==================== COLORS & STRIPES PANEL ====================
+
+// The stripe inputs themselves are bound by the viewer (setupStripeControls)
+function setupStripesPanel() {
+    const viewer = window.jerseyViewer;
+    const partSelect = document.getElementById('jersey-part-select-colors');
+
+    populatePartSelect(partSelect);
+    partSelect.addEventListener('change', () => selectStripePart(partSelect.value));
+
+    const baseColorInput = document.getElementById('part-base-color');
+    baseColorInput.addEventListener('input', () => {
+        viewer.editPartColor(partSelect.value, baseColorInput.value);
+    });
+    document.getElementById('part-base-color-reset').addEventListener('click', () => {
+        viewer.editPartColor(partSelect.value, null);
+    });
+
+    document.querySelectorAll('.stripe-tab').forEach(tabButton => {
+        tabButton.addEventListener('click', () => showStripeTab(tabButton.dataset.tab));
+    });
+
+    renderPartThumbnails();
+
+    // Redraw the thumbnails of edited parts once per frame
+    viewer.onChange((partName) => {
+        if (!partName) return;
+        if (partName === partSelect.value) updateBaseColorInput();
+        dirtyThumbnails.add(partName);
+        if (thumbnailFrame) return;
+        thumbnailFrame = requestAnimationFrame(() => {
+            thumbnailFrame = null;
+            dirtyThumbnails.forEach(part => drawPartThumbnail(part));
+            dirtyThumbnails.clear();
+        });
+    });
+
+    viewer.updateStripeUIForCurrentPart();
+    updateBaseColorInput();
+}
+
+// Show the selected part's base color (white when it has none)
+function updateBaseColorInput() {
+    const partName = document.getElementById('jersey-part-select-colors').value;
+    document.getElementById('part-base-color').value = window.jerseyViewer.partBaseColors[partName] || '#ffffff';
+}
+
+// Make a part the one the stripe controls edit
+function selectStripePart(partName) {
+    document.getElementById('jersey-part-select-colors').value = partName;
+    window.jerseyViewer.updateStripeUIForCurrentPart();
+    updateBaseColorInput();
+
+    document.querySelectorAll('.part-thumbnail').forEach(thumbnail => {
+        thumbnail.classList.toggle('active', thumbnail.dataset.part === partName);
+    });
+}
+
+function showStripeTab(tabId) {
+    document.querySelectorAll('.stripe-tab').forEach(tabButton => {
+        tabButton.classList.toggle('active', tabButton.dataset.tab === tabId);
+    });
+    document.querySelectorAll('.stripe-tab-panel').forEach(panel => {
+        panel.style.display = panel.dataset.tab === tabId ? 'flex' : 'none';
+    });
+}
+
+function renderPartThumbnails() {
+    const container = document.getElementById('part-thumbnails');
+    const selectedPart = document.getElementById('jersey-part-select-colors').value;
+
+    container.innerHTML = '';
+
+    Object.keys(window.jerseyViewer.partCanvases).forEach(partName => {
+        const thumbnail = document.createElement('button');
+        thumbnail.className = `part-thumbnail${partName === selectedPart ? ' active' : ''}`;
+        thumbnail.dataset.part = partName;
+        thumbnail.title = PART_LABELS[partName] || partName;
+        thumbnail.addEventListener('click', () => selectStripePart(partName));
+
+        const preview = document.createElement('canvas');
+        preview.width = PART_THUMBNAIL_SIZE;
+        preview.height = PART_THUMBNAIL_SIZE;
+
+        const label = document.createElement('span');
+        label.textContent = PART_LABELS[partName] || partName;
+
+        thumbnail.append(preview, label);
+        container.appendChild(thumbnail);
+
+        drawPartThumbnail(partName);
+    });
+}
+
+// Copy the part's bounding box region of its Fabric canvas into the thumbnail (aspect ratio kept)
+function drawPartThumbnail(partName) {
+    const preview = document.querySelector(`.part-thumbnail[data-part="${partName}"] canvas`);
+    const viewer = window.jerseyViewer;
+    const fabricCanvas = viewer.partCanvases[partName];
+    if (!preview || !fabricCanvas) return;
+
+    const region = viewer.getPartPrintRegion(partName);
+    const scale = Math.min(preview.width / region.width, preview.height / region.height);
+    const width = region.width * scale;
+    const height = region.height * scale;
+
+    const ctx = preview.getContext('2d');
+    ctx.clearRect(0, 0, preview.width, preview.height);
+    ctx.drawImage(
+        fabricCanvas.lowerCanvasEl,
+        region.left, region.top, region.width, region.height,
+        (preview.width - width) / 2, (preview.height - height) / 2, width, height
+    );
+}
+
+// ==================== SESSION CONFIGURATION ====================
+
+function setupSessionControls() {
+    const fileInput = document.getElementById('session-file-input');
+
+    document.getElementById('session-save').addEventListener('click', () => saveConfiguration());
+    document.getElementById('session-open').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        // Reset so the same file can be opened again
+        fileInput.value = '';
+        if (file) {
+            openConfiguration(file);
+        }
+    });
+}
+
+// Download the design, variation, colors, stripes, logos and camera pose as a JSON file
+function saveConfiguration() {
+    if (!window.jerseyViewer) return;
+
+    const config = createSessionConfig({
+        designName,
+        variation: currentVariation,
+        viewerState: window.jerseyViewer.getConfiguration()
+    });
+
+    const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${getExportBaseName()}_config.json`);
+    console.log('✓ Configuration saved');
+}
+
+// Load the design and variation of a saved configuration, then restore its canvas state
+// The design's SVG files are not part of the configuration, so its folder must have been dropped
+async function openConfiguration(file) {
+    if (!window.jerseyViewer) return;
+
+    let config;
+    try {
+        config = parseSessionConfig(await file.text());
+    } catch (error) {
+        console.error('Error reading configuration:', error);
+        showLoadingError(`Could not open ${file.name}: ${error.message}`);
+        return;
+    }
+
+    console.log(`=== Opening configuration (version ${config.version}) ===`, config.design);
+
+    if (await applySessionConfig(config)) {
+        console.log(`✓ Configuration opened: ${file.name}`);
+    }
+}
+
+// Select the config's design, load its variation and restore the canvas state
+// Resolves to false when the design or variation is not available
+async function applySessionConfig(config) {
+    const { name, collar, shoulder } = config.design;
+    if (name) {
+        if (!designFiles[name]) {
+            showLoadingError(`Design "${name}" is not loaded. Drop its folder first, then open the configuration again.`);
+            return false;
+        }
+        if (name !== designName) {
+            selectDesign(name, false);
+        }
+    }
+
+    if (collar && shoulder) {
+        const key = getVariationKey(collar, shoulder);
+        if (!fileMap[key]) {
+            showLoadingError(`Design "${designName}" has no ${key} variation`);
+            return false;
+        }
+
+        const loaded = await loadDesign(collar, shoulder, fileMap[key]);
+        if (!loaded) return false;
+    }
+
+    await window.jerseyViewer.loadInitialConfig(config);
+    return true;
+}
+
+// ==================== AUTOSAVE / RECOVERY ====================
+
+function setupAutosave() {
+    window.jerseyViewer.onChange(() => scheduleAutosave());
+}
+
+// Debounced: slider drags and camera moves produce a burst of changes
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => autosaveSession(), AUTOSAVE_DELAY);
+}
+
+async function autosaveSession() {
+    if (!designName || !currentVariation || isRestoringSession || isBatchRendering) return;
+
+    // Half-loaded state is not worth keeping; loadDesign() schedules a save once it is done
+    if (isLoadingDesign) return;
+
+    const config = createSessionConfig({
+        designName,
+        variation: currentVariation,
+        viewerState: window.jerseyViewer.getConfiguration()
+    });
+
+    try {
+        await saveSessionState(config);
+    } catch (error) {
+        console.warn('Autosave failed:', error);
+    }
+}
+
+// Offer the last autosaved session, if there is one, through the restore banner
+async function checkForSavedSession() {
+    let session;
+    try {
+        session = await loadSession();
+    } catch (error) {
+        console.warn('Could not read the saved session:', error);
+        return;
+    }
+    if (!session) return;
+
+    const { name, collar, shoulder } = session.config.design;
+    const savedAt = session.config.savedAt ? new Date(session.config.savedAt).toLocaleString() : null;
+    const variation = collar && shoulder ? ` · ${getVariationKey(collar, shoulder)}` : '';
+
+    const banner = document.getElementById('restore-banner');
+    document.getElementById('restore-message').textContent =
+        `Restore your last session (${name || folderName || 'design'}${variation}${savedAt ? `, saved ${savedAt}` : ''})?`;
+    banner.style.display = 'flex';
+
+    document.getElementById('restore-accept').onclick = () => {
+        banner.style.display = 'none';
+        restoreSession(session);
+    };
+    document.getElementById('restore-dismiss').onclick = () => {
+        banner.style.display = 'none';
+        clearSession().catch(error => console.warn('Could not clear the saved session:', error));
+    };
+}
+
+async function restoreSession(session) {
+    console.log('=== Restoring last session ===', session.config.design);
+    isRestoringSession = true;
+
+    try {
+        folderName = session.folderName;
+        processFiles(session.files);
+        if (await applySessionConfig(session.config)) {
+            console.log('✓ Session restored');
+        }
+    } catch (error) {
+        console.error('Error restoring session:', error);
+        showLoadingError(`Could not restore the last session: ${error.message}`);
+    } finally {
+        isRestoringSession = false;
+    }
+}
+
+// ==================== TEXTURE QUALITY ====================
+
+// Texture resolution dropdown: sizes the device cannot afford are disabled
+function setupTextureResolutionControl() {
+    const select = document.getElementById('texture-resolution');
+    const note = document.getElementById('texture-resolution-note');
+    if (!select || !window.jerseyViewer) return;
+
+    const maxResolution = window.jerseyViewer.getMaxTextureResolution();
+    Array.from(select.options).forEach(option => {
+        option.disabled = parseInt(option.value, 10) > maxResolution;
+    });
+    if (maxResolution < TEXTURE_RESOLUTIONS[TEXTURE_RESOLUTIONS.length - 1]) {
+        note.textContent = `Limited to ${maxResolution} px on this device to save memory.`;
+    }
+    select.value = String(window.jerseyViewer.textureResolution);
+
+    select.addEventListener('change', () => setTextureResolution(parseInt(select.value, 10)));
+}
+
+// Resize the textures of both viewers; logos and texts keep their place, undo history is cleared
+async function setTextureResolution(size) {
+    const select = document.getElementById('texture-resolution');
+
+    // Batch exports expect the canvases to stay as they are until they finish
+    if (isBatchRendering) {
+        select.value = String(window.jerseyViewer.textureResolution);
+        return;
+    }
+
+    showLoadingOverlay(`Resizing textures to ${size} px...`);
+    setLoadingProgress(null);
+
+    try {
+        const applied = await window.jerseyViewer.setTextureResolution(size);
+        if (window.compareViewer) {
+            await window.compareViewer.setTextureResolution(applied);
+        }
+        saveTextureResolutionPreference(applied);
+        select.value = String(applied);
+        hideLoadingOverlay();
+        console.log(`✓ Texture resolution set to ${applied}x${applied}`);
+    } catch (error) {
+        console.error('Error changing texture resolution:', error);
+        select.value = String(window.jerseyViewer.textureResolution);
+        showLoadingError(`Could not change the texture resolution: ${error.message}`);
+    }
+}
+
+// ==================== EXPORT ====================
+
+function setupExportControls() {
+    document.getElementById('export-snapshot').addEventListener('click', () => exportSnapshot());
+    document.getElementById('export-batch').addEventListener('click', () => exportBatchRenders());
+    document.getElementById('export-glb').addEventListener('click', () => exportModel());
+    document.getElementById('export-print').addEventListener('click', () => exportPrintFiles());
+
+    const rosterInput = document.getElementById('roster-file-input');
+    document.getElementById('export-roster').addEventListener('click', () => rosterInput.click());
+    rosterInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        // Reset so the same roster can be exported again
+        rosterInput.value = '';
+        if (file) {
+            exportRoster(file);
+        }
+    });
+}
+
+// Width/height chosen in the snapshot size dropdown
+function getSnapshotSize() {
+    const sizePreset = SNAPSHOT_SIZES[document.getElementById('snapshot-size').value] || SNAPSHOT_SIZES['2x'];
+    const container = document.getElementById('viewer-container');
+    return {
+        width: sizePreset.width || container.clientWidth * sizePreset.viewportScale,
+        height: sizePreset.height || container.clientHeight * sizePreset.viewportScale
+    };
+}
+
+// File name shared by all exports of the current view, e.g. "tiger_v_neck_set_in"
+function getExportBaseName() {
+    const key = currentVariation ? getVariationKey(currentVariation.collar, currentVariation.shoulder) : 'jersey';
+    return `${designName || 'design'}_${key}`;
+}
+
+// Render the current camera view at the chosen resolution and download it as PNG
+async function exportSnapshot() {
+    if (!window.jerseyViewer || !window.jerseyViewer.current3DObject) {
+        console.warn('No model loaded - nothing to export');
+        return;
+    }
+
+    const { width, height } = getSnapshotSize();
+    const transparent = document.getElementById('snapshot-transparent').checked;
+
+    try {
+        const blob = await window.jerseyViewer.captureSnapshot({ width, height, transparent });
+        downloadBlob(blob, `${getExportBaseName()}.png`);
+        console.log(`✓ Snapshot exported (${width}x${height})`);
+    } catch (error) {
+        console.error('Error exporting snapshot:', error);
+        showLoadingError(`Could not export snapshot: ${error.message}`);
+    }
+}
+
+// Render every variation of the selected design from each batch angle and download them as one ZIP
+// Uses the snapshot size and background options of the export panel
+async function exportBatchRenders() {
+    if (!window.jerseyViewer || isBatchRendering) return;
+
+    const variations = VARIATIONS.filter(({ collar, shoulder }) => fileMap[getVariationKey(collar, shoulder)]);
+    if (variations.length === 0) {
+        console.warn('No variations loaded - nothing to render');
+        return;
+    }
+
+    const viewer = window.jerseyViewer;
+    const { width, height } = getSnapshotSize();
+    const transparent = document.getElementById('snapshot-transparent').checked;
+    const batchDesign = designName;
+    const previousVariation = currentVariation;
+    const previousPose = viewer.getCameraPose();
+    const totalRenders = variations.length * BATCH_RENDER_ANGLES.length;
+    const zip = new JSZip();
+    let renderCount = 0;
+    let failure = null;
+
+    isBatchRendering = true;
+    console.log(`=== Batch render: ${variations.length} variation(s) x ${BATCH_RENDER_ANGLES.length} angles ===`);
+
+    try {
+        for (const { collar, shoulder } of variations) {
+            const key = getVariationKey(collar, shoulder);
+            const loaded = await loadDesign(collar, shoulder, fileMap[key]);
+            if (!loaded) {
+                throw new Error(`Could not load ${key}`);
             }
-        } else if (nameWithoutExtForValidation.includes('_reglan_')) {
-            const parts = nameWithoutExtForValidation.split('_reglan_');
-            if (parts.length === 2) {
-                collar = parts[0];
-                shoulder = 'reglan';
-                designPart = parts[1];
-            } else {
-                hasNamingError = true;
+
+            for (const angle of BATCH_RENDER_ANGLES) {
+                showLoadingOverlay(`Rendering ${key} (${angle.name})...`);
+                setLoadingProgress(renderCount / totalRenders);
+
+                viewer.setCameraToPart(angle.part);
+                const blob = await viewer.captureSnapshot({ width, height, transparent });
+                zip.file(`${key}/${batchDesign}_${key}_${angle.name}.png`, blob);
+
+                renderCount++;
+                console.log(`✓ Rendered ${key} ${angle.name} (${renderCount}/${totalRenders})`);
             }
-        } else {
-            hasNamingError = true;
+        }
+
+        showLoadingOverlay('Packaging ZIP...');
+        setLoadingProgress(null);
+        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(zipBlob, `${batchDesign}_renders.zip`);
+        hideLoadingOverlay();
+    } catch (error) {
+        console.error('Error during batch render:', error);
+        failure = error;
+    } finally {
+        isBatchRendering = false;
+    }
+
+    // Go back to what was on screen before the batch started
+    if (previousVariation && designName === batchDesign) {
+        const key = getVariationKey(previousVariation.collar, previousVariation.shoulder);
+        const shownKey = currentVariation ? getVariationKey(currentVariation.collar, currentVariation.shoulder) : null;
+        if (key !== shownKey && fileMap[key]) {
+            await loadDesign(previousVariation.collar, previousVariation.shoulder, fileMap[key]);
+        }
+    }
+    viewer.setCameraPose(previousPose);
+
+    // Shown last: restoring the variation uses the loading overlay too
+    if (failure) {
+        showLoadingError(`Batch render failed: ${failure.message}`);
+    }
+}
+
+// Download the textured jersey as GLB (for the e-commerce 3D viewer and AR previews)
+async function exportModel() {
+    if (!window.jerseyViewer || !window.jerseyViewer.current3DObject) {
+        console.warn('No model loaded - nothing to export');
+        return;
+    }
+
+    showLoadingOverlay('Exporting GLB...');
+    setLoadingProgress(null);
+
+    try {
+        const blob = await window.jerseyViewer.exportGLB();
+        downloadBlob(blob, `${getExportBaseName()}.glb`);
+        hideLoadingOverlay();
+    } catch (error) {
+        console.error('Error exporting GLB:', error);
+        showLoadingError(`Could not export GLB: ${error?.message || error}`);
+    }
+}
+
+// DPI and printed sheet width chosen in the export panel; null (with an error shown) if invalid
+function getPrintSettings() {
+    const dpi = parseInt(document.getElementById('print-dpi').value, 10);
+    const sheetWidthCm = parseFloat(document.getElementById('print-sheet-width').value);
+    if (!(sheetWidthCm > 0)) {
+        showLoadingError('Enter the printed width of the texture sheet in cm');
+        return null;
+    }
+    return { dpi, sheetWidthCm };
+}
+
+// Add the print files of what is on the canvases to a ZIP folder:
+// one PNG per part (with the DPI written into the file) plus a combined SVG sheet
+// onProgress(fraction, message) reports each part
+async function addPrintFiles(folder, baseName, { dpi, sheetWidthCm }, onProgress = () => {}) {
+    const viewer = window.jerseyViewer;
+    const partNames = Object.keys(viewer.partCanvases);
+
+    await viewer.withVectorDesign(async () => {
+        const sheetParts = [];
+
+        for (const [index, partName] of partNames.entries()) {
+            onProgress(index / partNames.length, `Rendering ${partName} artwork...`);
+
+            const region = viewer.getPartPrintRegion(partName);
+            const scale = getPrintScale(region, viewer.partCanvases[partName].width, sheetWidthCm, dpi);
+            const png = await viewer.exportPartArtwork(partName, scale.multiplier);
+            folder.file(`${baseName}_${partName}_${Math.round(scale.dpi)}dpi.png`, await setPngResolution(png, scale.dpi));
+
+            sheetParts.push({ partName, region, svg: viewer.getPartArtworkSVG(partName) });
+        }
+
+        const referenceCanvas = viewer.partCanvases[partNames[0]];
+        folder.file(`${baseName}_print_sheet.svg`, buildPrintSheetSVG(sheetParts, {
+            width: referenceCanvas.width,
+            height: referenceCanvas.height,
+            widthCm: sheetWidthCm
+        }));
+    });
+}
+
+// Export the flat artwork of every part, cropped to its bounding box, for the sublimation printer
+// One PNG per part plus a combined SVG sheet, packaged as ZIP
+async function exportPrintFiles() {
+    const viewer = window.jerseyViewer;
+    if (!viewer || !viewer.current3DObject) {
+        console.warn('No model loaded - nothing to export');
+        return;
+    }
+
+    const printSettings = getPrintSettings();
+    if (!printSettings) return;
+
+    const baseName = getExportBaseName();
+    const partCount = Object.keys(viewer.partCanvases).length;
+    const zip = new JSZip();
+
+    showLoadingOverlay('Preparing print files...');
+    setLoadingProgress(0);
+
+    try {
+        await addPrintFiles(zip, baseName, printSettings, (fraction, message) => {
+            setLoadingProgress(fraction * partCount / (partCount + 1), message);
+        });
+
+        setLoadingProgress(partCount / (partCount + 1), 'Packaging ZIP...');
+        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(zipBlob, `${baseName}_print.zip`);
+        console.log(`✓ Print files exported (${partCount} parts at ${printSettings.dpi} DPI)`);
+        hideLoadingOverlay();
+    } catch (error) {
+        console.error('Error exporting print files:', error);
+        showLoadingError(`Could not export print files: ${error.message}`);
+    }
+}
+
+// Make a roster value usable in a file name
+function toFileNamePart(value) {
+    return value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Personalize the current variation for every player of a roster CSV (name and number on the back)
+// and export each player's print files and a back view preview into one ZIP, one folder per player
+async function exportRoster(file) {
+    const viewer = window.jerseyViewer;
+    if (isBatchRendering) {
+        showLoadingError('Wait for the running export to finish before exporting a roster');
+        return;
+    }
+    if (!viewer || !viewer.current3DObject) {
+        showLoadingError('Load a design variation before exporting a roster');
+        return;
+    }
+
+    let players;
+    try {
+        players = parseRosterCSV(await file.text());
+    } catch (error) {
+        console.error('Error reading roster:', error);
+        showLoadingError(`Could not read ${file.name}: ${error.message}`);
+        return;
+    }
+
+    const printSettings = getPrintSettings();
+    if (!printSettings) return;
+
+    const { width, height } = getSnapshotSize();
+    const transparent = document.getElementById('snapshot-transparent').checked;
+    const baseName = getExportBaseName();
+    const previousPose = viewer.getCameraPose();
+    const zip = new JSZip();
+    const summary = [['folder', 'name', 'number', 'size']];
+
+    isBatchRendering = true;
+    showLoadingOverlay('Preparing roster...');
+    console.log(`=== Roster export: ${players.length} player(s) ===`);
+
+    try {
+        await viewer.renderRoster(players, async (player, index) => {
+            const label = player.name || `#${player.number}`;
+            const playerFolder = [String(index + 1).padStart(2, '0'), player.number, player.name, player.size]
+                .filter(Boolean).map(toFileNamePart).filter(Boolean).join('_');
+            const folder = zip.folder(playerFolder);
+            summary.push([playerFolder, player.name, player.number, player.size]);
+
+            await addPrintFiles(folder, baseName, printSettings, (fraction, message) => {
+                setLoadingProgress((index + fraction * 0.9) / players.length, `${label} (${index + 1}/${players.length}): ${message}`);
+            });
+
+            setLoadingProgress((index + 0.9) / players.length, `${label} (${index + 1}/${players.length}): Rendering preview...`);
+            viewer.setCameraToPart('back');
+            folder.file(`${baseName}_preview_back.png`, await viewer.captureSnapshot({ width, height, transparent }));
+            console.log(`✓ Rendered ${label} (${index + 1}/${players.length})`);
+        }, getTextControlSettings());
+
+        showLoadingOverlay('Packaging ZIP...');
+        setLoadingProgress(null);
+        const csv = summary.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\r\n');
+        zip.file('roster.csv', csv);
+        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(zipBlob, `${baseName}_roster.zip`);
+        hideLoadingOverlay();
+    } catch (error) {
+        console.error('Error during roster export:', error);
+        showLoadingError(`Roster export failed: ${error.message}`);
+    } finally {
+        isBatchRendering = false;
+    }
+
+    viewer.setCameraPose(previousPose);
+}
+
+// Save a Blob through a temporary download link
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Loading overlay helpers
+function showLoadingOverlay(message) {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    loadingOverlay.classList.remove('error');
+    document.getElementById('loading-dismiss').style.display = 'none';
+    setLoadingProgress(0, message);
+    loadingOverlay.style.display = 'flex';
+}
+
+// fraction: 0-1, or null when the total size is unknown (shows an indeterminate bar)
+function setLoadingProgress(fraction, message) {
+    const progress = document.getElementById('loading-progress');
+    const progressBar = document.getElementById('loading-progress-bar');
+
+    if (fraction === null) {
+        progress.classList.add('indeterminate');
+        progressBar.style.width = '';
+    } else {
+        progress.classList.remove('indeterminate');
+        progressBar.style.width = `${Math.round(Math.min(Math.max(fraction, 0), 1) * 100)}%`;
+    }
+
+    if (message) {
+        document.getElementById('loading-message').textContent = message;
+    }
+}
+
+function hideLoadingOverlay() {
+    document.getElementById('loading-overlay').style.display = 'none';
+}
+
+function showLoadingError(message) {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    const dismissButton = document.getElementById('loading-dismiss');
+
+    loadingOverlay.classList.add('error');
+    document.getElementById('loading-message').textContent = message;
+    loadingOverlay.style.display = 'flex';
+
+    dismissButton.style.display = 'block';
+    dismissButton.onclick = hideLoadingOverlay;
+}
+
+// Validation function
+async function validateFiles(svgFiles) {
+    const errors = [];
+    
+    console.log('=== Validating files ===');
+    
+    for (const file of svgFiles) {
+        const fileErrors = [];
+        const filename = file.name;
+        const filenameLower = filename.toLowerCase();
+        
+        // Check file extension
+        if (!filenameLower.endsWith('.svg')) {
+            fileErrors.push('File must have .svg extension');
+            continue; // Skip further validation for non-SVG files
+        }
+        
+        // Check for spaces
+        if (filename.includes(' ')) {
+            fileErrors.push('Filename contains spaces (not allowed)');
+        }
+        
+        // Check for capital letters
+        if (filename !== filenameLower) {
+            fileErrors.push('Filename contains capital letters (use lowercase only)');
         }
         
-        if (hasNamingError) {
+        // Check for invalid symbols (only allow letters, numbers, underscores, and dots)
+        // Note: We allow dots for the extension, but check that there's only one dot (for extension)
+        const nameWithoutExt = filenameLower.replace('.svg', '');
+        const invalidSymbols = /[^a-z0-9_]/g;
+        if (invalidSymbols.test(nameWithoutExt)) {
+            fileErrors.push('Filename contains invalid symbols (only lowercase letters, numbers, and underscores allowed)');
+        }
+        
+        // Check for multiple dots (should only have one for extension)
+        const dotCount = (filename.match(/\./g) || []).length;
+        if (dotCount > 1) {
+            fileErrors.push('Filename contains multiple dots (only one dot allowed for file extension)');
+        }
+        
+        // Check naming convention: collar_shoulder_designName.svg
+        const parsed = parseDesignFilename(filenameLower);
+        
+        if (!parsed) {
             fileErrors.push('Filename does not follow convention: <collar_type>_<shoulder_type>_<design_name>.svg');
         } else {
+            const { collar, shoulder, designPart } = parsed;
+
             // Validate collar type
-            const validCollars = ['insert', 'round', 'v_neck', 'v_neck_crossed'];
+            const validCollars = getCollarIds();
             if (!validCollars.includes(collar)) {
                 fileErrors.push(`Invalid collar type: "${collar}" (must be one of: ${validCollars.join(', ')})`);
             }
             
             // Validate shoulder type
-            const validShoulders = ['set_in', 'reglan'];
+            const validShoulders = getShoulderIds();
             if (!validShoulders.includes(shoulder)) {
                 fileErrors.push(`Invalid shoulder type: "${shoulder}" (must be one of: ${validShoulders.join(', ')})`);
             }
@@ -579,30 +2104,21 @@ async function validateFiles(svgFiles, fileMap) {
                 if (numberPattern.test(designPart)) {
                     fileErrors.push(`Design name "${designPart}" is not meaningful (avoid numbers like design1, design2)`);
                 }
-                
-                // Check design name consistency across all files
-                if (hasInconsistentDesignNames && expectedDesignName) {
-                    if (designPart !== expectedDesignName) {
-                        fileErrors.push(`Design name "${designPart}" does not match expected design name "${expectedDesignName}" (all files must use the same design name)`);
-                    }
-                }
             }
         }
         
-        // Check SVG dimensions (1024x1024 or 2048x2048)
+        // Check SVG dimensions (square, one of the texture resolutions)
         try {
             const svgDimensions = await getSVGDimensions(file);
             if (svgDimensions) {
                 const { width, height } = svgDimensions;
-                const validSizes = [
-                    { w: 1024, h: 1024 },
-                    { w: 2048, h: 2048 }
-                ];
+                const validSizes = TEXTURE_RESOLUTIONS.map(size => ({ w: size, h: size }));
                 
                 const isValidSize = validSizes.some(size => width === size.w && height === size.h);
                 
                 if (!isValidSize) {
-                    fileErrors.push(`SVG dimensions are ${width}x${height} (must be 1024x1024 or 2048x2048)`);
+                    const sizeList = TEXTURE_RESOLUTIONS.map(size => `${size}x${size}`).join(', ');
+                    fileErrors.push(`SVG dimensions are ${width}x${height} (must be one of ${sizeList})`);
                 }
             } else {
                 fileErrors.push('Could not read SVG dimensions');
@@ -619,40 +2135,12 @@ async function validateFiles(svgFiles, fileMap) {
         }
     }
     
-    // Add design name consistency summary if there are inconsistencies
-    if (hasInconsistentDesignNames) {
-        const inconsistentFiles = [];
-        designNamesMap.forEach((designName, fileName) => {
-            if (designName !== expectedDesignName) {
-                inconsistentFiles.push({ fileName, designName });
-            }
-        });
-        
-        if (inconsistentFiles.length > 0) {
-            // Add summary error showing which files have wrong design names
-            const summaryErrors = [
-                `Found ${uniqueDesignNames.length} different design names: ${uniqueDesignNames.join(', ')}`,
-                `Expected design name: "${expectedDesignName}" (appears in ${maxCount} files)`,
-                '',
-                'Files with inconsistent design names:',
-                ...inconsistentFiles.map(f => `  • ${f.fileName}: has "${f.designName}" (expected "${expectedDesignName}")`)
-            ];
-            
-            errors.push({
-                filename: 'Design Name Consistency',
-                errors: summaryErrors
-            });
-        }
-    }
-    
     // Show validation errors if any
     if (errors.length > 0) {
         showValidationErrors(errors);
     } else {
         console.log('✓ All files passed validation');
-        if (expectedDesignName) {
-            console.log(`✓ Design name consistency: All files use "${expectedDesignName}"`);
-        }
+        console.log(`✓ ${getDesignNames().length} design(s) found`);
     }
 }
 
@@ -758,27 +2246,3 @@ function showValidationErrors(errors) {
     modal.querySelector('.validation-overlay').addEventListener('click', closeModal);
 }
 
-// Helper function to get model path (from threeD-script.js)
-function getModelPath(collar, shoulder) {
-    const MODEL_MAP = {
-        'round_reglan': 'round_collar_reglan_01.glb',
-        'round_set_in': 'round_collar_set_in_02.glb',
-        'insert_reglan': 'insert_collar_reglan_01.glb',
-        'insert_set_in': 'insert_collar_set_in_02.glb',
-        'v_neck_reglan': 'v_neck_reglan_01.glb',
-        'v_neck_set_in': 'v_neck_set_in_01.glb',
-        'v_neck_crossed_reglan': 'v_neck_crossed_reglan_01.glb',
-        'v_neck_crossed_set_in': 'v_neck_crossed_set_in_01.glb'
-    };
-
-    const key = `${collar}_${shoulder}`;
-    const filename = MODEL_MAP[key];
-
-    if (!filename) {
-        console.warn(`No model found for ${collar} + ${shoulder}, using default`);
-        return './models/insert_collar_reglan_01.glb';
-    }
-
-    return `./models/${filename}`;
-}
-
@@ -0,0 +1,117 @@
+// Session configuration
+// Versioned JSON format used by "Save configuration" / "Open configuration".
+// When the format changes, bump CONFIG_VERSION and add a step to MIGRATIONS so older saves keep loading.
+
+const CONFIG_TYPE = 'jersey-viewer-session';
+const CONFIG_VERSION = 3;
+
+// Each step upgrades a config from version N to N + 1 (version 0 is the unversioned format
+// that loadInitialConfig() accepted before sessions could be saved)
+const MIGRATIONS = {
+    0: (config) => ({
+        type: CONFIG_TYPE,
+        version: 1,
+        savedAt: null,
+        design: {
+            name: null,
+            collar: null,
+            shoulder: null,
+            svgPath: config.design?.svgPath || null
+        },
+        parts: Object.fromEntries(
+            Object.entries(config.parts || {}).map(([partName, partConfig]) => [partName, { color: partConfig.color || null }])
+        ),
+        stripeOrientation: null,
+        logos: config.logos || {},
+        camera: null
+    }),
+    // Version 1 stored the canvas background as part color, white unless a legacy config set it;
+    // colors are now base colors that also recolor the design, and designs can be remapped
+    1: (config) => ({
+        ...config,
+        version: 2,
+        parts: Object.fromEntries(
+            Object.entries(config.parts || {}).map(([partName, partConfig]) => [partName, {
+                ...partConfig,
+                color: partConfig.color && partConfig.color.toLowerCase() !== '#ffffff' ? partConfig.color : null
+            }])
+        ),
+        designColors: {}
+    }),
+    // Logo and text positions are canvas pixels; canvases used to be 2048 wide at all times
+    2: (config) => ({
+        ...config,
+        version: 3,
+        textureSize: 2048
+    })
+};
+
+/**
+ * Build a session config from the app and viewer state
+ * @param {Object} state
+ * @param {string} state.designName - Selected design
+ * @param {{collar: string, shoulder: string}} state.variation - Variation shown in the viewer
+ * @param {Object} state.viewerState - Result of JerseyViewer.getConfiguration()
+ * @returns {Object} The config, ready for JSON.stringify
+ */
+function createSessionConfig({ designName, variation, viewerState }) {
+    return {
+        type: CONFIG_TYPE,
+        version: CONFIG_VERSION,
+        savedAt: new Date().toISOString(),
+        design: {
+            name: designName,
+            collar: variation?.collar || null,
+            shoulder: variation?.shoulder || null
+        },
+        ...viewerState
+    };
+}
+
+/**
+ * Upgrade a config to the current version
+ * @param {Object} config - Parsed config of any supported version
+ * @returns {Object} The config in the current format
+ * @throws {Error} If the config was written by a newer version of the app
+ */
+function migrateSessionConfig(config) {
+    let migrated = config;
+    let version = Number.isInteger(config.version) ? config.version : 0;
+
+    if (version > CONFIG_VERSION) {
+        throw new Error(`Configuration version ${version} is newer than this viewer supports (${CONFIG_VERSION})`);
+    }
+
+    while (version < CONFIG_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version++;
+    }
+
+    return migrated;
+}
+
+/**
+ * Parse the contents of a saved configuration file
+ * @param {string} text - File contents
+ * @returns {Object} The config in the current format
+ * @throws {Error} If the file is not a session configuration
+ */
+function parseSessionConfig(text) {
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('File is not a jersey configuration');
+    }
+    if (config.type !== undefined && config.type !== CONFIG_TYPE) {
+        throw new Error(`Unexpected configuration type "${config.type}"`);
+    }
+
+    return migrateSessionConfig(config);
+}
+
+export { CONFIG_VERSION, createSessionConfig, migrateSessionConfig, parseSessionConfig };
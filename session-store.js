@@ -0,0 +1,121 @@
+// Session autosave
+// Keeps the last session in IndexedDB so it can be restored after a reload or a crash.
+// Two records are stored: the dropped SVG files (written when a folder is dropped) and the
+// session config (written on every change, see session-config.js) with logo images as Blobs.
+
+const DB_NAME = 'jersey-viewer';
+const DB_VERSION = 1;
+const STORE_NAME = 'session';
+const FILES_KEY = 'files';
+const STATE_KEY = 'state';
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry (e.g. private browsing refused the first open)
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+}
+
+// Run a single request against the store and resolve with its result once the transaction completes
+async function runRequest(mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = createRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function dataURLToBlob(dataUrl) {
+    return fetch(dataUrl).then(response => response.blob());
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Apply an async transform to the url of every logo in a config's logos map
+async function mapLogos(logos, transform) {
+    const entries = await Promise.all(Object.entries(logos || {}).map(async ([partName, partLogos]) =>
+        [partName, await Promise.all((partLogos || []).map(transform))]
+    ));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Store the SVG files of the dropped folder
+ * @param {string|null} folderName - Name of the dropped folder
+ * @param {File[]} files - SVG files
+ * @returns {Promise<void>}
+ */
+function saveSessionFiles(folderName, files) {
+    return runRequest('readwrite', store => store.put({ folderName, files }, FILES_KEY));
+}
+
+/**
+ * Store the session config; embedded logo images are stored as Blobs instead of data URLs
+ * @param {Object} config - Session config from createSessionConfig()
+ * @returns {Promise<void>}
+ */
+async function saveSessionState(config) {
+    const logos = await mapLogos(config.logos, async (logo) => {
+        if (!logo.url || !logo.url.startsWith('data:')) return logo;
+        const { url, ...rest } = logo;
+        return { ...rest, image: await dataURLToBlob(url) };
+    });
+
+    await runRequest('readwrite', store => store.put({ ...config, logos }, STATE_KEY));
+}
+
+/**
+ * Read the last autosaved session
+ * @returns {Promise<{folderName: string|null, files: File[], config: Object}|null>} null when
+ *   nothing (or only part of a session) was saved
+ */
+async function loadSession() {
+    const [filesRecord, state] = await Promise.all([
+        runRequest('readonly', store => store.get(FILES_KEY)),
+        runRequest('readonly', store => store.get(STATE_KEY))
+    ]);
+
+    if (!filesRecord || !filesRecord.files?.length || !state) {
+        return null;
+    }
+
+    const logos = await mapLogos(state.logos, async (logo) => {
+        if (!logo.image) return logo;
+        const { image, ...rest } = logo;
+        return { ...rest, url: await blobToDataURL(image) };
+    });
+
+    return {
+        folderName: filesRecord.folderName,
+        files: filesRecord.files,
+        config: { ...state, logos }
+    };
+}
+
+// Forget the autosaved session
+function clearSession() {
+    return runRequest('readwrite', store => store.clear());
+}
+
+export { saveSessionFiles, saveSessionState, loadSession, clearSession };
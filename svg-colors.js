@@ -0,0 +1,156 @@
+// SVG color regions
+// Finds the distinct colors an SVG design paints with and rewrites them, so a design can be
+// recolored before it is rasterized onto the part canvases.
+
+// Presentation attributes / CSS properties that carry a paint color
+const COLOR_PROPERTIES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color'];
+
+// "fill: #abc" style declarations, in style attributes and <style> elements
+const DECLARATION_PATTERN = new RegExp(`(^|[;{\\s])(${COLOR_PROPERTIES.join('|')})(\\s*:\\s*)([^;}!]+)`, 'gi');
+
+let colorContext = null;
+
+/**
+ * Normalize a CSS color to lowercase #rrggbb
+ * @param {string} value - Any CSS color
+ * @returns {string|null} null for none, transparent, gradients/patterns (url()), currentColor
+ *   and anything the browser does not understand
+ */
+function normalizeColor(value) {
+    if (!value) return null;
+    const color = value.trim().toLowerCase();
+
+    if (!color || color === 'none' || color === 'transparent' || color === 'currentcolor' ||
+        color === 'inherit' || color.startsWith('url(')) {
+        return null;
+    }
+
+    let match = color.match(/^#([0-9a-f]{3})$/);
+    if (match) {
+        return `#${match[1].split('').map(c => c + c).join('')}`;
+    }
+    if (/^#[0-9a-f]{6}$/.test(color)) {
+        return color;
+    }
+    match = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (match) {
+        if (match[4] !== undefined && parseFloat(match[4]) === 0) return null;
+        return `#${match.slice(1, 4).map(n => Math.min(255, parseInt(n, 10)).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    // Named and other colors: let the canvas parse them (it answers #rrggbb for opaque colors)
+    if (!colorContext) {
+        colorContext = document.createElement('canvas').getContext('2d');
+    }
+    colorContext.fillStyle = '#010203';
+    colorContext.fillStyle = color;
+    const parsed = colorContext.fillStyle;
+    if (parsed === '#010203' && color !== '#010203') return null;
+    return /^#[0-9a-f]{6}$/.test(parsed) ? parsed : null;
+}
+
+// Call visit(value) for every color value in the document; visit returns a replacement or undefined
+function visitColors(doc, visit) {
+    const replaceDeclarations = (text) => text.replace(DECLARATION_PATTERN, (whole, before, property, separator, value) => {
+        const replacement = visit(value);
+        return replacement === undefined ? whole : `${before}${property}${separator}${replacement}`;
+    });
+
+    doc.querySelectorAll('*').forEach(element => {
+        COLOR_PROPERTIES.forEach(property => {
+            if (element.hasAttribute(property)) {
+                const replacement = visit(element.getAttribute(property));
+                if (replacement !== undefined) element.setAttribute(property, replacement);
+            }
+        });
+
+        if (element.hasAttribute('style')) {
+            element.setAttribute('style', replaceDeclarations(element.getAttribute('style')));
+        }
+
+        if (element.tagName.toLowerCase() === 'style') {
+            element.textContent = replaceDeclarations(element.textContent);
+        }
+    });
+}
+
+function parseSVG(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('Could not parse SVG');
+    }
+    return doc;
+}
+
+/**
+ * List the distinct colors used by an SVG
+ * Shapes without a fill attribute are painted black by default, which is not detected
+ * @param {string} svgText - SVG source
+ * @returns {Array<{color: string, count: number}>} Colors as #rrggbb, most used first
+ */
+function extractSvgPalette(svgText) {
+    const counts = new Map();
+
+    visitColors(parseSVG(svgText), (value) => {
+        const color = normalizeColor(value);
+        if (color) {
+            counts.set(color, (counts.get(color) || 0) + 1);
+        }
+        return undefined;
+    });
+
+    return [...counts.entries()]
+        .map(([color, count]) => ({ color, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Replace colors in an SVG
+ * @param {string} svgText - SVG source
+ * @param {Object<string, string>} colorMap - Original #rrggbb color to replacement color
+ * @returns {string} The recolored SVG source (unchanged when the map is empty)
+ */
+function recolorSvg(svgText, colorMap) {
+    if (!colorMap || Object.keys(colorMap).length === 0) {
+        return svgText;
+    }
+
+    const doc = parseSVG(svgText);
+    visitColors(doc, (value) => {
+        const color = normalizeColor(value);
+        return color && colorMap[color] ? colorMap[color] : undefined;
+    });
+
+    return new XMLSerializer().serializeToString(doc);
+}
+
+/**
+ * Estimate how much of the image each palette color covers
+ * Only exactly matching opaque pixels are counted, so anti-aliased edges are ignored
+ * @param {CanvasImageSource} image - The rendered design
+ * @param {Array<{color: string}>} palette - Result of extractSvgPalette()
+ * @param {number} [sampleSize=256] - Resolution the image is sampled at
+ * @returns {Object<string, number>} Color to covered fraction (0-1)
+ */
+function measureColorCoverage(image, palette, sampleSize = 256) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = sampleSize;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, sampleSize, sampleSize);
+    const { data } = ctx.getImageData(0, 0, sampleSize, sampleSize);
+
+    const wanted = new Set(palette.map(entry => entry.color));
+    const counts = {};
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] !== 255) continue;
+        const color = `#${((1 << 24) | (data[i] << 16) | (data[i + 1] << 8) | data[i + 2]).toString(16).slice(1)}`;
+        if (wanted.has(color)) {
+            counts[color] = (counts[color] || 0) + 1;
+        }
+    }
+
+    const total = sampleSize * sampleSize;
+    return Object.fromEntries(palette.map(({ color }) => [color, (counts[color] || 0) / total]));
+}
+
+export { normalizeColor, extractSvgPalette, recolorSvg, measureColorCoverage };
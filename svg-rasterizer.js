@@ -0,0 +1,53 @@
+// SVG rasterization
+// Turns SVG source into an ImageBitmap of a given size, drawn with the browser's SVG renderer (the
+// same one the print export uses, so the 3D preview matches the print files). The result is a bitmap
+// that can be drawn directly - no PNG encoding or data URL decoding in between.
+// Rasterization runs on the main thread: Chrome and Firefox cannot decode SVG images in workers, and
+// drawing the SVG with a JavaScript renderer there would no longer match the print output. Decoding
+// is asynchronous; only the draw itself blocks, once per color variant.
+
+// Canvas to draw on: OffscreenCanvas hands its pixels over without a copy where available
+function createRasterCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Rasterize SVG source, stretched to the given size
+ * @param {string} svgText - SVG source
+ * @param {number} width - Bitmap width in pixels
+ * @param {number} height - Bitmap height in pixels
+ * @returns {Promise<{bitmap: ImageBitmap, method: string, time: number}>} The bitmap (close() it when
+ *   no longer drawn), the canvas type it was drawn on and how long that took in milliseconds
+ * @throws {Error} If the SVG cannot be decoded (the browser's error is the cause)
+ */
+async function rasterizeSvg(svgText, width, height) {
+    const start = performance.now();
+    const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+
+    try {
+        const image = new Image();
+        image.src = url;
+        try {
+            await image.decode();
+        } catch (error) {
+            throw new Error(`Could not decode the SVG design: ${error.message}`, { cause: error });
+        }
+
+        const canvas = createRasterCanvas(width, height);
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        const isOffscreen = typeof canvas.transferToImageBitmap === 'function';
+        const bitmap = isOffscreen ? canvas.transferToImageBitmap() : await createImageBitmap(canvas);
+
+        return { bitmap, method: isOffscreen ? 'OffscreenCanvas' : 'canvas', time: performance.now() - start };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+export { rasterizeSvg };
@@ -0,0 +1,111 @@
+// Text layers
+// Player name and number overlays: their default settings, the fonts they can use and the arc
+// they are set on. Uploaded font files (TTF, OTF, WOFF, WOFF2) are registered with the document
+// as FontFaces; their data URL is kept so sessions can embed the font.
+
+// Font size text objects are created at; they are scaled to fit their part afterwards
+const TEXT_FONT_SIZE = 200;
+
+const DEFAULT_TEXT_SETTINGS = {
+    text: '',
+    role: 'name', // 'name' or 'number' (decides default placement and fit height)
+    fontFamily: 'Arial Black',
+    fill: '#ffffff',
+    stroke: '#000000',
+    strokeWidth: 0, // Outline width in font units (relative to TEXT_FONT_SIZE)
+    arc: 0, // Degrees of circle the text spans, 0 is straight
+    autoFit: true // Scale down to fit the part's bounding box after every edit
+};
+
+// Offered before any font file is loaded (available on most systems)
+const BUILT_IN_FONTS = ['Arial Black', 'Impact', 'Verdana', 'Georgia', 'Courier New'];
+
+const loadedFonts = new Map(); // Font family -> data URL of the font file
+
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Register a font with the document
+ * @param {string} family - Family name text layers refer to
+ * @param {string} url - URL of the font file (data URLs survive saving)
+ * @returns {Promise<void>}
+ */
+async function registerFont(family, url) {
+    if (loadedFonts.has(family)) return;
+
+    const fontFace = new FontFace(family, `url(${url})`);
+    await fontFace.load();
+    document.fonts.add(fontFace);
+    loadedFonts.set(family, url);
+}
+
+/**
+ * Load a font file chosen by the user; the family is named after the file
+ * @param {File} file - TTF, OTF, WOFF or WOFF2 file
+ * @returns {Promise<string>} The font family
+ */
+async function loadFontFile(file) {
+    const family = file.name.replace(/\.[^.]+$/, '').replace(/[^\w -]+/g, ' ').trim() || 'Custom font';
+    try {
+        await registerFont(family, await readFileAsDataURL(file));
+    } catch (error) {
+        throw new Error(`${file.name} is not a supported font file`);
+    }
+    return family;
+}
+
+// Data URL of a loaded font file, null for built-in fonts
+function getFontURL(family) {
+    return loadedFonts.get(family) || null;
+}
+
+function getAvailableFonts() {
+    return [...BUILT_IN_FONTS, ...loadedFonts.keys()];
+}
+
+/**
+ * Wait until a font can be drawn on a canvas (canvas text silently falls back while it loads)
+ * @param {string} family - Font family
+ * @returns {Promise<void>}
+ */
+async function ensureFontReady(family) {
+    try {
+        await document.fonts.load(`${TEXT_FONT_SIZE}px "${family}"`);
+    } catch (error) {
+        console.warn(`Font "${family}" could not be loaded, using a fallback font`);
+    }
+}
+
+/**
+ * SVG path data of a circular arc for text to be set on, bulging upwards
+ * The arc is as long as the text, so the text exactly fills it
+ * @param {number} textWidth - Width of the straight text
+ * @param {number} arc - Degrees of circle the text spans (0-180)
+ * @returns {string} Path data starting at the left end
+ */
+function createArcPathData(textWidth, arc) {
+    const sweep = Math.min(180, Math.max(1, arc)) * Math.PI / 180;
+    const radius = textWidth / sweep;
+    const halfChord = radius * Math.sin(sweep / 2);
+    const sagitta = radius * (1 - Math.cos(sweep / 2));
+
+    return `M ${-halfChord} ${sagitta} A ${radius} ${radius} 0 0 1 ${halfChord} ${sagitta}`;
+}
+
+export {
+    TEXT_FONT_SIZE,
+    DEFAULT_TEXT_SETTINGS,
+    registerFont,
+    loadFontFile,
+    getFontURL,
+    getAvailableFonts,
+    ensureFontReady,
+    createArcPathData
+};
@@ -0,0 +1,60 @@
+// Texture resolution
+// Size of the square part canvases the jersey textures are drawn on. 2048 is the default, 4096 shows
+// print detail in close-ups and 1024 keeps low-memory devices usable. Each part costs about
+// size x size x 4 bytes three times (Fabric's two canvas layers and the GPU texture): ~48 MB per
+// part at 2048, ~190 MB at 4096.
+
+const TEXTURE_RESOLUTIONS = [1024, 2048, 4096];
+const DEFAULT_TEXTURE_RESOLUTION = 2048;
+const STORAGE_KEY = 'jersey-viewer:texture-resolution';
+
+/**
+ * Highest texture resolution the device can afford
+ * navigator.deviceMemory (GB, Chromium only) decides where it is available. Other browsers get the
+ * default on touch devices (tablets kill pages that use too much canvas memory) and 4096 elsewhere
+ * @param {number} maxTextureSize - Largest texture the GPU supports (renderer.capabilities.maxTextureSize)
+ * @returns {number} One of TEXTURE_RESOLUTIONS
+ */
+function getMaxTextureResolution(maxTextureSize) {
+    const memory = navigator.deviceMemory;
+    let limit = 4096;
+    if (memory !== undefined) {
+        limit = memory <= 2 ? 1024 : memory < 8 ? 2048 : 4096;
+    } else if (navigator.maxTouchPoints > 0) {
+        limit = DEFAULT_TEXTURE_RESOLUTION;
+    }
+
+    const allowed = TEXTURE_RESOLUTIONS.filter(size => size <= Math.min(limit, maxTextureSize));
+    return allowed.length > 0 ? allowed[allowed.length - 1] : TEXTURE_RESOLUTIONS[0];
+}
+
+/**
+ * The resolution to use for a requested one: itself if the device can afford it, otherwise the
+ * highest one it can
+ * @param {number} [requested] - Requested resolution (the default when missing or unsupported)
+ * @param {number} maxTextureSize - Largest texture the GPU supports
+ * @returns {number} One of TEXTURE_RESOLUTIONS
+ */
+function resolveTextureResolution(requested, maxTextureSize) {
+    const size = TEXTURE_RESOLUTIONS.includes(requested) ? requested : DEFAULT_TEXTURE_RESOLUTION;
+    return Math.min(size, getMaxTextureResolution(maxTextureSize));
+}
+
+// Resolution the user picked last time, null if none
+function loadTextureResolutionPreference() {
+    const size = parseInt(localStorage.getItem(STORAGE_KEY), 10);
+    return TEXTURE_RESOLUTIONS.includes(size) ? size : null;
+}
+
+function saveTextureResolutionPreference(size) {
+    localStorage.setItem(STORAGE_KEY, String(size));
+}
+
+export {
+    TEXTURE_RESOLUTIONS,
+    DEFAULT_TEXTURE_RESOLUTION,
+    getMaxTextureResolution,
+    resolveTextureResolution,
+    loadTextureResolutionPreference,
+    saveTextureResolutionPreference
+};
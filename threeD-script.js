@@ -15,62 +15,123 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-
-// Model mapping configuration
-const MODEL_MAP = {
-    'round_reglan': 'round_collar_reglan_01.glb',
-    'round_set_in': 'round_collar_set_in_02.glb',
-    'insert_reglan': 'insert_collar_reglan_01.glb',
-    'insert_set_in': 'insert_collar_set_in_02.glb',
-    'v_neck_reglan': 'v_neck_reglan_01.glb',
-    'v_neck_set_in': 'v_neck_set_in_01.glb',
-    'v_neck_crossed_reglan': 'v_neck_crossed_reglan_01.glb',
-    'v_neck_crossed_set_in': 'v_neck_crossed_set_in_01.glb'
-};
-
-const CAMERA_POSITION_FOR_PART = {
-    'front': { x: 0.00, y: 1.00, z: 4.20 },
-    'back': { x: 0.00, y: 1.00, z: -4.20 },
-    'left-sleeve': { x: 2.25, y: 1.66, z: 0.00 },
-    'right-sleeve': { x: -2.25, y: 1.66, z: 0.00 },
-    'collar': { x: 0.0, y: 0.0, z: 0.50 },
-    'collar2': { x: 0.0, y: 0.0, z: 0.50 },
-    'hem': { x: 0.0, y: 0.95, z: 1.0 },
-};
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { DEFAULT_VARIATION, getBoundingBoxes, getCameraPreset } from './variations.js';
+import { HistoryStack } from './history.js';
+import { LogoGizmo } from './logo-gizmo.js';
+import { ResourceTracker, ModelCache } from './resources.js';
+import { rasterizeSvg } from './svg-rasterizer.js';
+import { DEFAULT_TEXTURE_RESOLUTION, getMaxTextureResolution, resolveTextureResolution } from './texture-resolution.js';
+import { extractSvgPalette, recolorSvg, measureColorCoverage } from './svg-colors.js';
+import {
+    TEXT_FONT_SIZE,
+    DEFAULT_TEXT_SETTINGS,
+    registerFont,
+    getFontURL,
+    ensureFontReady,
+    createArcPathData
+} from './text-layers.js';
 
 // Helper function to get URL parameters
 function getURLParameters() {
     const urlParams = new URLSearchParams(window.location.search);
     return {
-        collar: urlParams.get('collar') || 'insert',
-        shoulder: urlParams.get('shoulder') || 'reglan'
+        collar: urlParams.get('collar') || DEFAULT_VARIATION.collar,
+        shoulder: urlParams.get('shoulder') || DEFAULT_VARIATION.shoulder
     };
 }
 
-// Helper function to get model path based on selections
-function getModelPath(collar, shoulder) {
-    const key = `${collar}_${shoulder}`;
-    const filename = MODEL_MAP[key];
+// Encode a loaded image element as PNG data URL (object URLs only live as long as the page)
+function imageToDataURL(element) {
+    const canvas = document.createElement('canvas');
+    canvas.width = element.naturalWidth || element.width;
+    canvas.height = element.naturalHeight || element.height;
+    canvas.getContext('2d').drawImage(element, 0, 0);
+    return canvas.toDataURL('image/png');
+}
 
-    if (!filename) {
-        console.warn(`No model found for ${collar} + ${shoulder}, using default`);
-        return './models/insert_collar_reglan_01.glb';
+// SVG source with width/height set on its root when it has none (from the viewBox, else the given
+// size): images of SVGs without an intrinsic size report 0x0 and cannot be scaled to a canvas
+function withIntrinsicSize(svgText, fallbackWidth, fallbackHeight) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    const svg = doc.documentElement;
+    // Percentages are relative to a container an image does not have
+    const hasLength = (name) => {
+        const value = svg.getAttribute(name) || '';
+        return parseFloat(value) > 0 && !value.trim().endsWith('%');
+    };
+    if (svg.nodeName !== 'svg' || (hasLength('width') && hasLength('height'))) {
+        return svgText;
     }
 
-    return `./models/${filename}`;
+    const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+    svg.setAttribute('width', hasViewBox ? viewBox[2] : fallbackWidth);
+    svg.setAttribute('height', hasViewBox ? viewBox[3] : fallbackHeight);
+    return new XMLSerializer().serializeToString(doc);
+}
+
+// Logo or text layer config saved at another texture resolution, moved to the current canvas pixels
+function scaleOverlayConfig(config, factor) {
+    if (factor === 1) return config;
+    const scaled = { ...config };
+    ['left', 'top', 'scaleX', 'scaleY', 'baseScale'].forEach(key => {
+        if (typeof scaled[key] === 'number') scaled[key] *= factor;
+    });
+    return scaled;
 }
 
-// Make getModelPath available globally for use in script.js
-window.getModelPath = getModelPath;
+// Resolution the design is sampled at to measure how much area each of its colors covers
+const COVERAGE_SAMPLE_SIZE = 256;
+
+// Size of the part textures colorway thumbnails are rendered with (see renderColorwayThumbnails())
+const COLORWAY_TEXTURE_SIZE = 256;
+
+// Design color remapping without entries that keep their color
+function cleanColorMap(colorMap) {
+    return Object.fromEntries(
+        Object.entries(colorMap || {}).filter(([original, color]) => color && color.toLowerCase() !== original)
+    );
+}
 
 class JerseyViewer {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - Selector of the element the renderer is added to
+     * @param {Object} [options]
+     * @param {string} [options.canvasIdPrefix='fabric-canvas'] - Id prefix of the per-part Fabric canvases;
+     *   canvases missing from the page are created (used by secondary viewers)
+     * @param {boolean} [options.primary=true] - Whether this viewer owns the page UI controls and debug mode
+     * @param {number} [options.textureResolution=2048] - Size of the part canvases (1024, 2048 or 4096);
+     *   lowered automatically on devices that cannot afford it
+     */
+    constructor(containerId, options = {}) {
         this.container = document.querySelector(containerId);
         if (!this.container) {
             console.error(`Container ${containerId} not found`);
             return;
         }
 
+        this.canvasIdPrefix = options.canvasIdPrefix || 'fabric-canvas';
+        this.isPrimary = options.primary !== false;
+        this.textureResolution = DEFAULT_TEXTURE_RESOLUTION; // Set from the request once the renderer exists
+        this.isRenderingPaused = false;
+        this.linkedViewer = null; // Viewer whose camera follows this one (compare mode)
+        this.isSyncingCamera = false;
+        this.changeListeners = []; // Notified after canvas edits and camera moves (see onChange())
+        this.history = new HistoryStack(); // Undo/redo of logo, stripe and color edits on all parts
+
+        // SVG design source and its color remapping (see loadSVGDesign())
+        this.designSVGText = null;
+        this.designPalette = []; // [{ color, count, coverage }], largest areas first
+        this.designColorMap = {}; // Original color -> replacement, on all parts
+        this.partBaseColors = {}; // Part -> base color (see updateColor())
+        this.appliedDesignKeys = {}; // Part -> color map its design layer was rendered with
+        this.designRender = null; // Tail of the render queue (see renderDesign())
+        this.designRenderId = 0;
+        this.designBitmaps = new Set(); // Rasterized designs drawn by the design layers (closed once unused)
+        // Durations of the last design load/render, shown in the debug panel
+        this.designTimings = { fetch: '-', rasterize: '-', apply: '-', total: '-', rasterizer: '-' };
+
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -78,8 +139,13 @@ class JerseyViewer {
         this.jerseyMesh = null;
         this.animationId = null;
         this.gltfLoader = new GLTFLoader();
+        this.modelCache = new ModelCache(this.gltfLoader); // Recently used GLBs, parsed (LRU)
+        this.modelResources = new ResourceTracker(); // GPU resources created for the shown model
         this.texture = null;
         this.current3DObject = null;
+        this.currentModelPath = null;
+        this.modelLoadId = 0; // Incremented per loadModel() call so stale loads can be discarded
+        this.designLoadId = 0; // Same for loadSVGDesign()
 
         // Materials to exclude from texture application (stitches should keep original appearance)
         this.currentPart = 'front';
@@ -87,40 +153,19 @@ class JerseyViewer {
         this.partTextures = {};
         this.excludedMaterials = ['stitches_sleeves', 'cover_stitches', 'stitches_main'];
 
-        // Bounding boxes for jersey parts (as percentages of canvas)
-        // Separate configurations for different shoulder types
-        this.partBoundingBoxes_setIn = {
-            'front': { x: 0.03, y: 0.14, width: 0.45, height: 0.62 },
-            'back': { x: 0.54, y: 0.1, width: 0.45, height: 0.63 },
-            'left-sleeve': { x: 0.58, y: 0.75, width: 0.35, height: 0.16 },
-            'right-sleeve': { x: 0.08, y: 0.75, width: 0.35, height: 0.16 },
-            'collar': { x: 0.0, y: 0.054, width: 0.5, height: 0.03 },
-            'collar2': { x: 0.195, y: 0.095, width: 0.105, height: 0.021 },
-            'hem': { x: 0.1, y: 0.925, width: 0.82, height: 0.035 },
-        };
-
-        this.partBoundingBoxes_reglan = {
-            'front': { x: 0.04, y: 0.08, width: 0.425, height: 0.6 },
-            'back': { x: 0.53, y: 0.06, width: 0.43, height: 0.6 },
-            'left-sleeve': { x: 0.57, y: 0.65, width: 0.35, height: 0.26 },
-            'right-sleeve': { x: 0.07, y: 0.65, width: 0.35, height: 0.26 },
-            'collar': { x: 0.01, y: 0.05, width: 0.59, height: 0.03 },
-            'collar2': { x: 0.2, y: 0.095, width: 0.104, height: 0.021 },
-            'hem': { x: 0.1, y: 0.925, width: 0.82, height: 0.035 },
-        };
-
-        // Get current shoulder type from URL
+        // Get current collar and shoulder type from URL (updated by loadModel() when a variation is loaded)
         const urlParams = getURLParameters();
-        this.currentShoulderType = urlParams.shoulder || 'reglan';
+        this.currentCollarType = urlParams.collar;
+        this.currentShoulderType = urlParams.shoulder;
 
-        // Set active bounding boxes based on shoulder type
-        this.partBoundingBoxes = this.currentShoulderType === 'set_in'
-            ? this.partBoundingBoxes_setIn
-            : this.partBoundingBoxes_reglan;
+        // Active bounding boxes and camera preset come from the variation registry
+        this.partBoundingBoxes = getBoundingBoxes(this.currentShoulderType);
+        this.cameraPreset = getCameraPreset(this.currentCollarType, this.currentShoulderType);
 
         // Camera reset animation properties
-        this.initialCameraPosition = new THREE.Vector3(2, 2, 4);
-        this.initialControlsTarget = new THREE.Vector3(0, 0, 0);
+        const { position, target } = this.cameraPreset;
+        this.initialCameraPosition = new THREE.Vector3(position.x, position.y, position.z);
+        this.initialControlsTarget = new THREE.Vector3(target.x, target.y, target.z);
         this.cameraResetDuration = 800; // Duration in milliseconds
         this.isAnimatingCamera = false;
         this.cameraAnimationStartTime = 0;
@@ -149,13 +194,17 @@ class JerseyViewer {
 
 
         this.init();
+        this.textureResolution = this.resolveTextureResolution(options.textureResolution);
         this.createLights();
         this.createGroundPlane();
         this.createTexture();
         this.setupCameraReset();
-        this.setupLogoControls(); // Set up logo slider controls on initialization
-        this.setupStripeControls(); // Set up stripe controls on initialization
-        this.updateStripeUIForCurrentPart(); // Initialize UI with default part's config
+        if (this.isPrimary) {
+            this.setupLogoControls(); // Set up logo slider controls on initialization
+            this.setupStripeControls(); // Set up stripe controls on initialization
+            this.updateStripeUIForCurrentPart(); // Initialize UI with default part's config
+            this.setupHistoryShortcuts(); // Ctrl+Z / Ctrl+Shift+Z
+        }
         this.animate();
         this.handleResize();
 
@@ -165,7 +214,11 @@ class JerseyViewer {
         this.mouse = new THREE.Vector2();
         this.isDragging = false;
         this.draggedPart = null;
+        this.draggedPointerId = null;
+        this.dragPointerPosition = null;
+        this.logoGesture = null; // Two-finger pinch/rotate of the dragged logo
         this.setupLogoInteraction();
+        this.logoGizmo = new LogoGizmo(this); // Scale/rotate handles drawn over the model
 
         // Load custom control icons
         this.deleteIcon = new Image();
@@ -232,6 +285,7 @@ class JerseyViewer {
         this.controls.minDistance = 1.2;  // Allow much closer zoom for detail viewing
         this.controls.maxDistance = 10;
         this.controls.target.set(0, 0, 0);
+        this.controls.addEventListener('end', () => this.notifyChange());
     }
 
     createLights() {
@@ -323,7 +377,7 @@ class JerseyViewer {
 
     createTexture() {
         // Define jersey parts
-        const parts = ['front', 'back', 'right-sleeve', 'left-sleeve', 'collar', 'hem'];
+        const parts = ['front', 'back', 'right-sleeve', 'left-sleeve', 'collar', 'collar2', 'hem'];
 
         // Initialize storage for canvases and textures
         this.partCanvases = {};
@@ -337,6 +391,7 @@ class JerseyViewer {
             'sleeves_L': 'left-sleeve',
             'sleeves_R': 'right-sleeve',
             'collar': 'collar',
+            'collar2': 'collar2', // Second collar piece of insert collars
             'hem': 'hem'
         };
 
@@ -344,8 +399,15 @@ class JerseyViewer {
 
         // Create Fabric canvas and Three.js texture for each part
         parts.forEach(part => {
-            const canvasId = `fabric-canvas-${part}`;
-            const fabricCanvasElement = document.getElementById(canvasId);
+            const canvasId = `${this.canvasIdPrefix}-${part}`;
+            let fabricCanvasElement = document.getElementById(canvasId);
+
+            if (!fabricCanvasElement && !this.isPrimary) {
+                // Secondary viewers get their own hidden canvases
+                fabricCanvasElement = document.createElement('canvas');
+                fabricCanvasElement.id = canvasId;
+                document.body.appendChild(fabricCanvasElement);
+            }
 
             if (!fabricCanvasElement) {
                 console.error(`Canvas element not found: ${canvasId}`);
@@ -354,8 +416,8 @@ class JerseyViewer {
 
             // Initialize Fabric.js canvas (optimized for performance)
             this.partCanvases[part] = new fabric.Canvas(fabricCanvasElement, {
-                width: 2048,  // Reduced from 4096 for 75% memory reduction
-                height: 2048,
+                width: this.textureResolution,
+                height: this.textureResolution,
                 backgroundColor: '#ffffff',
                 enableRetinaScaling: false  // Disabled for consistent memory usage
             });
@@ -391,7 +453,7 @@ class JerseyViewer {
                 this.resetLogoSliders();
             });
 
-            debugLog(`✅ Initialized canvas for "${part}": 2048x2048 (optimized)`);
+            debugLog(`✅ Initialized canvas for "${part}": ${this.textureResolution}x${this.textureResolution}`);
         });
 
         debugLog(`🎨 Multi-canvas setup complete. ${parts.length} canvases initialized.`);
@@ -400,11 +462,74 @@ class JerseyViewer {
         this.logMemoryUsage();
 
         // Enable debug mode if DEBUG_MODE is true
-        if (DEBUG_MODE) {
+        if (DEBUG_MODE && this.isPrimary) {
             this.setupDebugMode();
         }
     }
 
+    // Highest texture resolution this device and its GPU can afford (see texture-resolution.js)
+    getMaxTextureResolution() {
+        return getMaxTextureResolution(this.renderer.capabilities.maxTextureSize);
+    }
+
+    // Texture resolution to use for a requested one, lowered to what the device and GPU can afford
+    resolveTextureResolution(requested) {
+        const size = resolveTextureResolution(requested, this.renderer.capabilities.maxTextureSize);
+        if (requested && size < requested) {
+            console.warn(`⚠️ Texture resolution ${requested} is not supported on this device, using ${size}`);
+        }
+        return size;
+    }
+
+    /**
+     * Change the size of all part canvases and their textures
+     * Logos, text layers and stripes keep their place and size on the jersey; the design is
+     * rasterized again at the new size. Undo history is cleared (it holds canvas pixel positions)
+     * @param {number} size - 1024, 2048 or 4096 (lowered if the device cannot afford it)
+     * @returns {Promise<number>} The resolution applied, once the design has been rendered at it
+     */
+    async setTextureResolution(size) {
+        const resolution = this.resolveTextureResolution(size);
+        if (resolution === this.textureResolution) return resolution;
+
+        const startTime = performance.now();
+        const factor = resolution / this.textureResolution;
+        this.textureResolution = resolution;
+
+        Object.entries(this.partCanvases).forEach(([partName, fabricCanvas]) => {
+            fabricCanvas.setDimensions({ width: resolution, height: resolution });
+
+            // Everything on the canvas is positioned in canvas pixels
+            fabricCanvas.getObjects().forEach(obj => {
+                obj.set({
+                    left: obj.left * factor,
+                    top: obj.top * factor,
+                    scaleX: obj.scaleX * factor,
+                    scaleY: obj.scaleY * factor
+                });
+                if (obj.baseScale) {
+                    obj.baseScale *= factor;
+                }
+                obj.setCoords();
+            });
+
+            // The GPU texture keeps its old size until it is allocated again
+            this.partTextures[partName].dispose();
+            fabricCanvas.renderAll();
+            this.updateTexture(partName);
+        });
+
+        this.history.clear();
+
+        // The stretched design layers are replaced by a raster at the new size
+        this.appliedDesignKeys = {};
+        await this.renderDesign();
+
+        debugLog(`📐 Texture resolution set to ${resolution}x${resolution} in ${(performance.now() - startTime).toFixed(0)}ms`);
+        this.logMemoryUsage();
+        return resolution;
+    }
+
     setupDebugMode() {
         // Show only the active canvas in debug mode
         const activeCanvasId = `fabric-canvas-${this.currentPart}`;
@@ -466,7 +591,7 @@ class JerseyViewer {
 
     // Switch which canvas is shown in debug mode
     switchDebugCanvas(partName) {
-        if (!DEBUG_MODE) return;
+        if (!DEBUG_MODE || !this.isPrimary) return;
 
         const viewerContainer = document.querySelector('.viewer-container');
         if (!viewerContainer) return;
@@ -533,19 +658,141 @@ class JerseyViewer {
         debugLog(`🐛 DEBUG: Switched to "${partName}" canvas`);
     }
 
-    // Setup 3D logo interaction with raycasting
+    /**
+     * Setup 3D logo interaction with raycasting (mouse, touch and pen through Pointer Events)
+     * The listeners run in the capture phase, so they see a pointer before OrbitControls does and can
+     * claim it: pointers that select, drag, delete or clone a logo never reach OrbitControls, every
+     * other pointer (including two-finger zoom/pan away from a dragged logo) is left to it
+     */
     setupLogoInteraction() {
         const canvas = this.renderer.domElement;
 
-        canvas.addEventListener('mousedown', (event) => this.onLogoMouseDown(event));
-        canvas.addEventListener('mousemove', (event) => this.onLogoMouseMove(event));
-        canvas.addEventListener('mouseup', (event) => this.onLogoMouseUp(event));
+        canvas.addEventListener('pointerdown', (event) => this.onLogoPointerDown(event), { capture: true });
+        canvas.addEventListener('pointermove', (event) => this.onLogoPointerMove(event), { capture: true });
+        canvas.addEventListener('pointerup', (event) => this.onLogoPointerUp(event), { capture: true });
+        canvas.addEventListener('pointercancel', (event) => this.onLogoPointerUp(event), { capture: true });
+
+        debugLog('🎯 3D logo interaction enabled (raycasting, pointer events)');
+    }
+
+    // Handle pointer down: a second finger while dragging a logo starts pinch/rotate,
+    // otherwise hit-test logos like a mouse click
+    onLogoPointerDown(event) {
+        // Right/middle mouse buttons stay with OrbitControls (pan)
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+        if (this.isDragging) {
+            if (event.pointerType === 'touch' && !this.logoGesture) {
+                this.startLogoGesture(event);
+            }
+            // Further fingers while a logo is handled must not start an orbit
+            event.stopImmediatePropagation();
+            return;
+        }
+
+        if (!this.onLogoPress(event)) return;
+
+        event.stopImmediatePropagation();
+        event.preventDefault();
+
+        if (this.isDragging) {
+            this.draggedPointerId = event.pointerId;
+            this.dragPointerPosition = { x: event.clientX, y: event.clientY };
+            // Keep receiving moves when the finger/mouse leaves the canvas
+            this.renderer.domElement.setPointerCapture(event.pointerId);
+        }
+    }
+
+    // Handle pointer move: update the pinch/rotate or the drag of the claimed pointer
+    onLogoPointerMove(event) {
+        if (this.logoGesture) {
+            const pointer = this.logoGesture.pointers.get(event.pointerId);
+            if (pointer) {
+                pointer.x = event.clientX;
+                pointer.y = event.clientY;
+                this.updateLogoGesture();
+                event.stopImmediatePropagation();
+            }
+            return;
+        }
+
+        if (!this.isDragging || event.pointerId !== this.draggedPointerId) return;
+
+        event.stopImmediatePropagation();
+        this.dragPointerPosition = { x: event.clientX, y: event.clientY };
+        this.onLogoMouseMove(event);
+    }
+
+    // Handle pointer up/cancel: lifting either finger of a pinch ends the whole drag
+    onLogoPointerUp(event) {
+        const isGesturePointer = this.logoGesture?.pointers.has(event.pointerId);
+        if (!isGesturePointer && event.pointerId !== this.draggedPointerId) return;
+
+        event.stopImmediatePropagation();
+        const canvas = this.renderer.domElement;
+        if (canvas.hasPointerCapture(event.pointerId)) {
+            canvas.releasePointerCapture(event.pointerId);
+        }
+
+        this.onLogoMouseUp(event);
+    }
+
+    /**
+     * Start pinch-to-scale / twist-to-rotate of the dragged logo
+     * @param {PointerEvent} event - The second finger going down
+     */
+    startLogoGesture(event) {
+        const logo = this.draggedLogo;
+        if (!logo || !this.dragPointerPosition) return;
+
+        const pointers = new Map([
+            [this.draggedPointerId, { ...this.dragPointerPosition }],
+            [event.pointerId, { x: event.clientX, y: event.clientY }]
+        ]);
+        const [a, b] = [...pointers.values()];
+
+        this.logoGesture = {
+            pointers,
+            startDistance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            startAngle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI,
+            startScale: logo.scaleX,
+            startLogoAngle: logo.angle || 0
+        };
+        this.renderer.domElement.setPointerCapture(event.pointerId);
+
+        debugLog(`🤏 Started pinch/rotate of logo on "${this.draggedPart}"`);
+    }
 
-        debugLog('🎯 3D logo interaction enabled (raycasting)');
+    // Scale and rotate the dragged logo by how far the two fingers moved apart and turned
+    updateLogoGesture() {
+        const gesture = this.logoGesture;
+        const logo = this.draggedLogo;
+        const fabricCanvas = this.partCanvases[this.draggedPart];
+        if (!gesture || !logo || !fabricCanvas) return;
+
+        const [a, b] = [...gesture.pointers.values()];
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+
+        // Same limits as the scale and rotation sliders
+        const baseScale = logo.baseScale || gesture.startScale;
+        const scale = Math.min(baseScale * 3, Math.max(baseScale * 0.1, gesture.startScale * distance / gesture.startDistance));
+        let logoAngle = gesture.startLogoAngle + angle - gesture.startAngle;
+        logoAngle = ((logoAngle + 540) % 360) - 180;
+
+        logo.set({ scaleX: scale, scaleY: scale, angle: logoAngle });
+        logo.setCoords();
+        fabricCanvas.renderAll();
+        this.updateTexture(this.draggedPart);
+        this.updateLogoSliders(logo);
     }
 
-    // Handle mouse down for logo dragging
-    onLogoMouseDown(event) {
+    /**
+     * Hit-test logos and text layers at a pointer position (select, delete, clone or start dragging)
+     * @param {PointerEvent} event - The pointer going down
+     * @returns {boolean} Whether a logo or text layer handled the press
+     */
+    onLogoPress(event) {
         // Calculate mouse position in normalized device coordinates (-1 to +1)
         const rect = this.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -555,7 +802,7 @@ class JerseyViewer {
         this.raycaster.setFromCamera(this.mouse, this.camera);
 
         // Check for intersections with 3D model
-        if (!this.current3DObject) return;
+        if (!this.current3DObject) return false;
 
         const intersects = this.raycaster.intersectObject(this.current3DObject, true);
 
@@ -565,7 +812,7 @@ class JerseyViewer {
 
             // Skip excluded materials (stitches)
             if (this.shouldExcludeMaterial(intersection.object.material)) {
-                return;
+                return false;
             }
 
             // Get the part name from material
@@ -576,12 +823,12 @@ class JerseyViewer {
 
                 // Get the canvas for this part
                 const fabricCanvas = this.partCanvases[partName];
-                if (!fabricCanvas) return;
+                if (!fabricCanvas) return false;
 
                 // Convert UV to canvas coordinates
                 const clickPositionCanvas = {
-                    x: intersection.uv.x * 2048,
-                    y: intersection.uv.y * 2048
+                    x: intersection.uv.x * fabricCanvas.width,
+                    y: intersection.uv.y * fabricCanvas.height
                 };
 
                 // Try to get active object, or find the logo on this canvas
@@ -592,10 +839,10 @@ class JerseyViewer {
                 if (!activeObject) {
                     const objects = fabricCanvas.getObjects();
 
-                    // Find logo object that contains the click point
+                    // Find logo or text object that contains the click point
                     for (let i = objects.length - 1; i >= 0; i--) {
                         const obj = objects[i];
-                        if (obj.type === 'image' && i > 0) {
+                        if ((obj.type === 'image' && i > 0) || obj.name === 'textLayer') {
                             if (obj.containsPoint({ x: clickPositionCanvas.x, y: clickPositionCanvas.y })) {
                                 activeObject = obj;
                                 fabricCanvas.setActiveObject(activeObject);
@@ -610,11 +857,11 @@ class JerseyViewer {
                     }
                 }
 
-                // Check if we have an active logo object
-                if (activeObject && activeObject.type === 'image') {
+                // Check if we have an active logo (or text) object
+                if (activeObject && (activeObject.type === 'image' || activeObject.name === 'textLayer')) {
                     // If logo was just activated, don't start dragging yet
                     if (wasJustActivated) {
-                        return; // Exit early - user needs to click again to drag
+                        return true; // Exit early - user needs to click again to drag
                     }
 
                     // Check if click is on delete or clone control
@@ -649,10 +896,12 @@ class JerseyViewer {
                             clickPositionCanvas.y <= deleteIconTop + iconSize / 2) {
                             // Click is on delete icon
                             debugLog(`🗑️ Delete icon clicked`);
+                            const index = fabricCanvas.getObjects().indexOf(activeObject);
                             fabricCanvas.remove(activeObject);
                             fabricCanvas.renderAll();
                             this.updateTexture(partName);
-                            return; // Exit early to prevent dragging
+                            this.recordLogoRemoved(partName, activeObject, index, this.getOverlayLabel(activeObject, 'Delete'));
+                            return true; // Exit early to prevent dragging
                         }
                         // Check if click is on clone icon
                         else if (clickPositionCanvas.x >= cloneIconLeft - iconSize / 2 &&
@@ -691,19 +940,28 @@ class JerseyViewer {
                                 // Copy custom controls (delete and clone)
                                 cloned.controls.deleteControl = activeObject.controls.deleteControl;
                                 cloned.controls.cloneControl = activeObject.controls.cloneControl;
+                                cloned.name = activeObject.name === 'textLayer' ? 'textLayer' : 'logoLayer';
+                                cloned.baseScale = activeObject.baseScale || activeObject.scaleX;
+                                cloned.logoLabel = activeObject.logoLabel;
+                                if (activeObject.textSettings) {
+                                    cloned.textSettings = { ...activeObject.textSettings };
+                                }
 
                                 fabricCanvas.add(cloned);
                                 fabricCanvas.setActiveObject(cloned);
                                 fabricCanvas.renderAll();
                                 this.updateTexture(partName);
+                                this.recordLogoAdded(partName, cloned, this.getOverlayLabel(activeObject, 'Clone'));
                             });
-                            return; // Exit early to prevent dragging
+                            return true; // Exit early to prevent dragging
                         }
                     }
 
                     // Logo is already selected, now enable dragging
                     this.isDragging = true;
                     this.draggedPart = partName;
+                    this.draggedLogo = activeObject;
+                    this.dragStartTransform = this.getLogoTransform(activeObject);
 
                     // Disable orbit controls during drag
                     if (this.controls) {
@@ -714,6 +972,7 @@ class JerseyViewer {
 
                     // Update logo position
                     this.updateLogoPositionFromUV(partName, intersection.uv, activeObject);
+                    return true;
                 } else {
                     debugLog(`📍 UV coordinates: (${intersection.uv.x.toFixed(3)}, ${intersection.uv.y.toFixed(3)})`);
                     debugLog(`ℹ️ No logo found on "${partName}"`);
@@ -722,23 +981,18 @@ class JerseyViewer {
         } else {
             // No intersection with 3D model - deselect all logos to allow OrbitControls
             debugLog(`🔄 Clicked outside 3D model - deselecting logos`);
-
-            // Deselect active objects on all canvases and update textures
-            Object.entries(this.partCanvases).forEach(([partName, canvas]) => {
-                canvas.discardActiveObject();
-                canvas.renderAll();
-                // Update texture to remove selection borders from 3D model
-                this.updateTexture(partName);
-            });
+            this.clearLogoSelection();
 
             // Re-enable orbit controls
             if (this.controls) {
                 this.controls.enabled = true;
             }
         }
+
+        return false;
     }
 
-    // Handle mouse move for logo dragging
+    // Move the dragged logo to the point under the pointer
     onLogoMouseMove(event) {
         if (!this.isDragging || !this.draggedPart) return;
 
@@ -772,7 +1026,7 @@ class JerseyViewer {
         }
     }
 
-    // Handle mouse up to end dragging
+    // End dragging (and pinch/rotate)
     onLogoMouseUp(event) {
         if (this.isDragging) {
             debugLog(`✅ Logo drag complete on "${this.draggedPart}"`);
@@ -782,20 +1036,41 @@ class JerseyViewer {
                 this.controls.enabled = true;
             }
 
+            // The whole drag, including any pinch/rotate, is one history step
+            if (this.draggedLogo) {
+                this.recordLogoTransform(this.draggedPart, this.draggedLogo, this.dragStartTransform,
+                    this.getOverlayLabel(this.draggedLogo, this.logoGesture ? 'Transform' : 'Move'));
+            }
+
             this.isDragging = false;
             this.draggedPart = null;
+            this.draggedLogo = null;
+            this.dragStartTransform = null;
+            this.draggedPointerId = null;
+            this.dragPointerPosition = null;
+            this.logoGesture = null;
         }
     }
 
+    // Deselect active objects on all canvases and update textures
+    // (removes selection borders and delete/clone controls from the 3D model)
+    clearLogoSelection() {
+        Object.entries(this.partCanvases).forEach(([partName, canvas]) => {
+            canvas.discardActiveObject();
+            canvas.renderAll();
+            this.updateTexture(partName);
+        });
+    }
+
     // Update logo position based on UV coordinates
     updateLogoPositionFromUV(partName, uv, logoObject) {
         const fabricCanvas = this.partCanvases[partName];
         if (!fabricCanvas) return;
 
-        // Convert UV (0-1) to canvas coordinates (0-2048)
+        // Convert UV (0-1) to canvas coordinates (0 to the texture resolution)
         // UV origin is bottom-left, canvas origin is top-left
-        const canvasX = uv.x * 2048;
-        const canvasY = uv.y * 2048;
+        const canvasX = uv.x * fabricCanvas.width;
+        const canvasY = uv.y * fabricCanvas.height;
 
         // Update logo position (center it on click point)
         logoObject.set({
@@ -983,8 +1258,11 @@ class JerseyViewer {
             usedMemory: '0 MB',
             totalMemory: '0 MB',
             memoryLimit: '0 MB',
-            canvasCount: 6,
-            canvasSize: '2048x2048'
+            canvasCount: Object.keys(this.partCanvases).length,
+            canvasSize: `${this.textureResolution}x${this.textureResolution}`,
+            gpuGeometries: 0,
+            gpuTextures: 0,
+            cachedModels: '0'
         };
 
         // Add read-only displays
@@ -993,9 +1271,26 @@ class JerseyViewer {
         perfFolder.add(memoryStats, 'memoryLimit').name('Memory Limit').listen().disable();
         perfFolder.add(memoryStats, 'canvasCount').name('Canvas Count').listen().disable();
         perfFolder.add(memoryStats, 'canvasSize').name('Canvas Size').listen().disable();
+        perfFolder.add(memoryStats, 'gpuGeometries').name('GPU Geometries').listen().disable();
+        perfFolder.add(memoryStats, 'gpuTextures').name('GPU Textures').listen().disable();
+        perfFolder.add(memoryStats, 'cachedModels').name('Cached Models').listen().disable();
+
+        // Timings of the last design load (rasterize/apply also update when colors change)
+        const designFolder = perfFolder.addFolder('Design Load');
+        designFolder.add(this.designTimings, 'fetch').name('SVG Fetch').listen().disable();
+        designFolder.add(this.designTimings, 'rasterize').name('Rasterize').listen().disable();
+        designFolder.add(this.designTimings, 'apply').name('Apply to Parts').listen().disable();
+        designFolder.add(this.designTimings, 'total').name('Total').listen().disable();
+        designFolder.add(this.designTimings, 'rasterizer').name('Rasterized On').listen().disable();
 
         // Update memory stats every second
-        setInterval(() => {
+        this.memoryStatsInterval = setInterval(() => {
+            // Should stay flat when switching variations back and forth
+            memoryStats.gpuGeometries = this.renderer.info.memory.geometries;
+            memoryStats.gpuTextures = this.renderer.info.memory.textures;
+            memoryStats.cachedModels = `${this.modelCache.size} / ${this.modelCache.limit}`;
+            memoryStats.canvasSize = `${this.textureResolution}x${this.textureResolution}`;
+
             if (performance.memory) {
                 memoryStats.usedMemory = (performance.memory.usedJSHeapSize / 1048576).toFixed(2) + ' MB';
                 memoryStats.totalMemory = (performance.memory.totalJSHeapSize / 1048576).toFixed(2) + ' MB';
@@ -1050,6 +1345,7 @@ class JerseyViewer {
             });
 
             debugLog(`Texture updated for part: ${partName}`);
+            this.notifyChange(partName);
         } else {
             // Update all parts' textures
             Object.keys(this.partTextures).forEach(part => {
@@ -1060,133 +1356,585 @@ class JerseyViewer {
 
     // Helper to adjust canvas size based on SVG complexity
     adjustCanvasSize(svgPath) {
-        // Use consistent 2048x2048 for all SVGs to ensure full texture coverage
-        // The pre-rasterization optimization provides performance benefits
-        // without needing to reduce canvas size
-        debugLog('📐 Using consistent 2048x2048 canvas for full texture coverage');
-        return 2048;
+        // Designs always cover the whole texture, at the viewer's texture resolution
+        // (see setTextureResolution()); the SVG itself does not change the canvas size
+        debugLog(`📐 Using ${this.textureResolution}x${this.textureResolution} canvas for full texture coverage`);
+        return this.textureResolution;
     }
 
-    // Load SVG design onto Fabric canvas (OPTIMIZED with pre-rasterization)
+    /**
+     * Load SVG design onto Fabric canvas (OPTIMIZED with pre-rasterization)
+     * The SVG source is kept, so its colors can be listed (getDesignPalette()) and remapped
+     * (setDesignColors(), updateColor()) without reloading the file
+     * Rasterization uses the browser's SVG renderer (see svg-rasterizer.js)
+     * @param {string} svgPath - URL of the SVG design
+     * @returns {Promise<void>} Resolves once every part canvas has rendered the design
+     */
     loadSVGDesign(svgPath) {
         debugLog('Loading SVG design:', svgPath);
         const startTime = performance.now();
+        this.designSVGPath = svgPath;
+
+        // Only the most recent request may replace the design source and palette
+        const loadId = ++this.designLoadId;
+        const checkCurrent = () => {
+            if (loadId !== this.designLoadId) {
+                debugLog(`⏭️ Discarding stale design: ${svgPath}`);
+                throw new Error(`Design load superseded: ${svgPath}`);
+            }
+        };
 
         // Adjust canvas size based on SVG complexity BEFORE loading
         const canvasSize = this.adjustCanvasSize(svgPath);
 
-        // Create an image element to load the SVG
-        const imgElement = new Image();
-        imgElement.crossOrigin = 'anonymous';
-
-        imgElement.onload = () => {
-            const loadTime = performance.now() - startTime;
-            debugLog(`✅ SVG loaded in ${loadTime.toFixed(0)}ms, rasterizing to PNG...`);
-            const processStart = performance.now();
-
-            // Rasterize SVG to canvas at target resolution ONCE
-            // This is the KEY OPTIMIZATION - convert vector to raster ONCE and reuse
-            const rasterCanvas = document.createElement('canvas');
-            // Use the first canvas size as reference (all canvases are same size)
-            const referenceCanvas = this.partCanvases['front'];
-            rasterCanvas.width = referenceCanvas.width;
-            rasterCanvas.height = referenceCanvas.height;
-            const ctx = rasterCanvas.getContext('2d');
-
-            // Fill with white background
-            ctx.fillStyle = '#ffffff';
-            ctx.fillRect(0, 0, rasterCanvas.width, rasterCanvas.height);
-
-            // Draw SVG image at full canvas resolution
-            ctx.drawImage(imgElement, 0, 0, rasterCanvas.width, rasterCanvas.height);
-
-            // Convert rasterized canvas to data URL ONCE
-            const dataUrl = rasterCanvas.toDataURL('image/png');
-
-            debugLog('🎨 Applying design to all canvases simultaneously...');
-
-            // Counter to track completion
-            let loadedCount = 0;
-            const totalParts = Object.keys(this.partCanvases).length;
-
-            // Load the same rasterized PNG into all Fabric canvases
-            Object.entries(this.partCanvases).forEach(([partName, fabricCanvas]) => {
-                fabric.Image.fromURL(dataUrl, (img) => {
-                    if (!img) {
-                        console.error(`Failed to create Fabric image for ${partName}`);
-                        return;
+        return fetch(svgPath)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Error loading SVG: ${svgPath} (${response.status})`);
+                }
+                return response.text();
+            })
+            .then(svgText => {
+                checkCurrent();
+                const loadTime = performance.now() - startTime;
+                this.designTimings.fetch = `${loadTime.toFixed(0)} ms`;
+                debugLog(`✅ SVG loaded in ${loadTime.toFixed(0)}ms, detecting colors...`);
+
+                // Colors are detected on the source; a small raster tells how much area each covers
+                const palette = extractSvgPalette(svgText);
+                return rasterizeSvg(svgText, COVERAGE_SAMPLE_SIZE, COVERAGE_SAMPLE_SIZE).then(({ bitmap }) => {
+                    // Largest areas first: the first color is the design's base color
+                    const coverage = measureColorCoverage(bitmap, palette, COVERAGE_SAMPLE_SIZE);
+                    bitmap.close();
+                    palette.forEach(entry => { entry.coverage = coverage[entry.color]; });
+                    palette.sort((a, b) => b.coverage - a.coverage || b.count - a.count);
+
+                    checkCurrent();
+                    this.designSVGText = svgText;
+                    this.designPalette = palette;
+                    this.appliedDesignKeys = {};
+                    debugLog(`🎨 ${palette.length} design colors: ${palette.map(entry => entry.color).join(', ')}`);
+
+                    return this.renderDesign();
+                });
+            })
+            .then(() => {
+                const totalTime = performance.now() - startTime;
+                this.designTimings.total = `${totalTime.toFixed(0)} ms`;
+                debugLog(`⚡ Total time: ${totalTime.toFixed(0)}ms - Design applied to all parts`);
+            })
+            .catch(error => {
+                console.error('❌ Error loading SVG:', svgPath);
+                throw error;
+            });
+    }
+
+    /**
+     * Rasterize the design (with the current color remapping) onto every part canvas
+     * Parts whose colors did not change keep their raster; parts that share the same colors share
+     * one rasterization. Renders requested while one is running collapse into one follow-up render
+     * @returns {Promise<void>}
+     */
+    renderDesign() {
+        const renderId = ++this.designRenderId;
+
+        this.designRender = (this.designRender || Promise.resolve())
+            .catch(() => {}) // A failed render must not block the next one
+            .then(async () => {
+                if (renderId !== this.designRenderId || !this.designSVGText) return;
+
+                const processStart = performance.now();
+                const groups = new Map(); // Color map key -> { colorMap, parts }
+                Object.keys(this.partCanvases).forEach(partName => {
+                    const colorMap = this.getPartColorMap(partName);
+                    const key = JSON.stringify(colorMap);
+                    if (this.appliedDesignKeys[partName] === key) return;
+
+                    if (!groups.has(key)) {
+                        groups.set(key, { colorMap, parts: [] });
                     }
+                    groups.get(key).parts.push(partName);
+                });
 
-                    // Save existing logos and stripes before clearing
-                    const existingLogos = fabricCanvas.getObjects().filter(obj =>
-                        obj.type === 'image' && obj.name === 'logoLayer'
-                    );
-                    const existingStripes = fabricCanvas.getObjects().filter(obj =>
-                        obj.name && obj.name.startsWith('stripeLayer')
-                    );
-
-                    // Clear existing content from this canvas (except logos and stripes)
-                    fabricCanvas.getObjects().forEach(obj => {
-                        // Don't remove logo objects or stripe objects
-                        const isLogo = obj.type === 'image' && obj.name === 'logoLayer';
-                        const isStripe = obj.name && obj.name.startsWith('stripeLayer');
-                        if (!isLogo && !isStripe) {
-                            fabricCanvas.remove(obj);
-                            if (obj.dispose) obj.dispose();
-                        }
+                let rasterizeTime = 0;
+                let applyTime = 0;
+                for (const [key, { colorMap, parts }] of groups) {
+                    // Rasterize SVG at target resolution ONCE per color map
+                    // This is the KEY OPTIMIZATION - convert vector to raster ONCE and reuse
+                    // Use the first canvas size as reference (all canvases are same size)
+                    const referenceCanvas = this.partCanvases['front'];
+                    const { bitmap, method, time } = await rasterizeSvg(recolorSvg(this.designSVGText, colorMap),
+                        referenceCanvas.width, referenceCanvas.height);
+                    this.designBitmaps.add(bitmap);
+                    this.designTimings.rasterizer = method;
+                    rasterizeTime += time;
+
+                    // The parts share the bitmap (transparent areas show each part's base color)
+                    debugLog(`🎨 Applying design to ${parts.join(', ')}...`);
+                    const applyStart = performance.now();
+                    parts.forEach(partName => {
+                        this.applyDesignImage(partName, bitmap);
+                        this.appliedDesignKeys[partName] = key;
                     });
+                    applyTime += performance.now() - applyStart;
+                }
 
-                    // Clear background but keep logos and stripes
-                    fabricCanvas.backgroundColor = '#ffffff';
+                if (groups.size > 0) {
+                    this.releaseDesignBitmaps();
+                    this.designTimings.rasterize = `${rasterizeTime.toFixed(0)} ms`;
+                    this.designTimings.apply = `${applyTime.toFixed(0)} ms`;
+                    const processTime = performance.now() - processStart;
+                    debugLog(`🎨 SVG rasterized and rendered in ${processTime.toFixed(0)}ms (${groups.size} color variant(s), ${this.designTimings.rasterizer})`);
+                }
+            });
 
-                    // Scale image to exact canvas dimensions
-                    img.scaleToWidth(fabricCanvas.width);
-                    img.scaleToHeight(fabricCanvas.height);
+        return this.designRender;
+    }
 
-                    // Set origin to center
-                    img.set({
-                        originX: 'center',
-                        originY: 'center'
-                    });
+    /**
+     * Replace the design layer of a part canvas, keeping its stripes and logos
+     * @param {string} partName - Part to update
+     * @param {ImageBitmap} bitmap - Rasterized design (may be shared with other parts)
+     */
+    applyDesignImage(partName, bitmap) {
+        const fabricCanvas = this.partCanvases[partName];
+        const img = new fabric.Image(bitmap);
 
-                    // Add the design image first (so stripes and logos appear on top)
-                    fabricCanvas.add(img);
-                    fabricCanvas.sendToBack(img); // Send design to back
-                    fabricCanvas.centerObject(img);
+        // Save existing logos (and text layers) and stripes before clearing
+        const existingLogos = fabricCanvas.getObjects().filter(obj => this.isOverlayObject(obj));
+        const existingStripes = fabricCanvas.getObjects().filter(obj =>
+            obj.name && obj.name.startsWith('stripeLayer')
+        );
 
-                    // Ensure correct layer order: design -> stripes -> logos
-                    existingStripes.forEach(stripe => {
-                        stripe.moveTo(1); // Stripes above design
-                    });
-                    existingLogos.forEach(logo => {
-                        logo.bringToFront(); // Logos on top
-                    });
+        // Clear existing content from this canvas (except logos, texts and stripes)
+        fabricCanvas.getObjects().forEach(obj => {
+            // Don't remove logo, text or stripe objects
+            const isLogo = this.isOverlayObject(obj);
+            const isStripe = obj.name && obj.name.startsWith('stripeLayer');
+            if (!isLogo && !isStripe) {
+                fabricCanvas.remove(obj);
+                if (obj.dispose) obj.dispose();
+            }
+        });
 
-                    fabricCanvas.renderAll();
+        // The background is the part's base color
+        fabricCanvas.backgroundColor = this.partBaseColors[partName] || '#ffffff';
 
-                    // Update the 3D texture for this part
-                    this.updateTexture(partName);
+        // Scale image to exact canvas dimensions
+        img.scaleToWidth(fabricCanvas.width);
+        img.scaleToHeight(fabricCanvas.height);
 
+        // Set origin to center
+        img.set({
+            originX: 'center',
+            originY: 'center',
+            name: 'designLayer'
+        });
+        // Kept apart from the image element, which print exports swap out (see withVectorDesign())
+        img.designBitmap = bitmap;
 
-                    loadedCount++;
-                    debugLog(`✅ Design loaded on "${partName}" canvas (${loadedCount}/${totalParts})`);
+        // Add the design image first (so stripes and logos appear on top)
+        fabricCanvas.add(img);
+        fabricCanvas.sendToBack(img); // Send design to back
+        fabricCanvas.centerObject(img);
 
-                    // Log completion when all parts are done
-                    if (loadedCount === totalParts) {
-                        const totalTime = performance.now() - startTime;
-                        const processTime = performance.now() - processStart;
-                        debugLog(`🎨 SVG rasterized and rendered in ${processTime.toFixed(0)}ms`);
-                        debugLog(`⚡ Total time: ${totalTime.toFixed(0)}ms - Design applied to all ${totalParts} parts`);
-                    }
-                }, { crossOrigin: 'anonymous' });
+        // Ensure correct layer order: design -> stripes -> logos
+        existingStripes.forEach(stripe => {
+            stripe.moveTo(1); // Stripes above design
+        });
+        existingLogos.forEach(logo => {
+            logo.bringToFront(); // Logos on top
+        });
+
+        fabricCanvas.renderAll();
+
+        // Update the 3D texture for this part
+        this.updateTexture(partName);
+        debugLog(`✅ Design loaded on "${partName}" canvas`);
+    }
+
+    // Close the rasterized designs no design layer uses anymore
+    releaseDesignBitmaps() {
+        const inUse = new Set(Object.values(this.partCanvases).map(fabricCanvas =>
+            fabricCanvas.getObjects().find(obj => obj.name === 'designLayer')?.designBitmap
+        ));
+
+        this.designBitmaps.forEach(bitmap => {
+            if (!inUse.has(bitmap)) {
+                bitmap.close();
+                this.designBitmaps.delete(bitmap);
+            }
+        });
+    }
+
+    // ==================== DESIGN COLORS ====================
+
+    /**
+     * Colors of the loaded design with their current replacement
+     * @returns {Array<{color: string, mappedColor: string, coverage: number, isBase: boolean}>}
+     *   Largest areas first; the first color is the base color replaced by updateColor()
+     */
+    getDesignPalette() {
+        return this.designPalette.map((entry, index) => ({
+            color: entry.color,
+            mappedColor: this.designColorMap[entry.color] || entry.color,
+            coverage: entry.coverage,
+            isBase: index === 0
+        }));
+    }
+
+    // Colors the design is rendered with on a part: the global remapping plus the part's base color
+    // (the current ones unless given, e.g. those of a colorway)
+    getPartColorMap(partName, designColorMap = this.designColorMap, partColor = this.partBaseColors[partName]) {
+        const colorMap = { ...designColorMap };
+        const baseColor = this.designPalette[0]?.color;
+        if (baseColor && partColor) {
+            colorMap[baseColor] = partColor;
+        }
+        return colorMap;
+    }
+
+    /**
+     * Replace the design color remapping (applies to every part)
+     * @param {Object<string, string>} colorMap - Original #rrggbb color to replacement color
+     * @returns {Promise<void>} Resolves once the parts show the new colors
+     */
+    setDesignColors(colorMap) {
+        this.designColorMap = cleanColorMap(colorMap);
+        return this.renderDesign();
+    }
+
+    /**
+     * Remap one design color on all parts and record it in the undo history
+     * @param {string} originalColor - Palette color (#rrggbb)
+     * @param {string|null} color - Replacement, null restores the original
+     */
+    editDesignColor(originalColor, color) {
+        this.editDesignColors({ ...this.designColorMap, [originalColor]: color }, 'Change design color', originalColor);
+    }
+
+    // Undo restores the previous remapping; color picker drags on the same color coalesce
+    editDesignColors(colorMap, label = 'Reset design colors', target = null) {
+        const before = { ...this.designColorMap };
+        this.setDesignColors(colorMap).catch(error => console.error('Error recoloring design:', error));
+        const after = { ...this.designColorMap };
+
+        this.history.push({
+            label,
+            coalesceKey: target ? 'design-color' : null,
+            target,
+            undo: () => this.setDesignColors(before),
+            redo: () => this.setDesignColors(after)
+        });
+    }
+
+    /**
+     * Set the base color of a part: the canvas background and, on this part only, the design's
+     * base color (see getDesignPalette())
+     * @param {string} part - Part name
+     * @param {string|null} color - null restores white and the design's own base color
+     * @returns {Promise<void>} Resolves once the part shows the new color
+     */
+    updateColor(part, color) {
+        const fabricCanvas = this.partCanvases[part];
+        if (!fabricCanvas) return Promise.resolve();
+
+        debugLog(`Updating ${part} to color ${color}`);
+        if (color) {
+            this.partBaseColors[part] = color;
+        } else {
+            delete this.partBaseColors[part];
+        }
+
+        fabricCanvas.backgroundColor = color || '#ffffff';
+        fabricCanvas.renderAll();
+        this.updateTexture(part);
+
+        return this.renderDesign();
+    }
+
+    // Set a part's base color and record it in the undo history
+    editPartColor(part, color) {
+        const before = this.partBaseColors[part] || null;
+        this.updateColor(part, color).catch(error => console.error('Error recoloring part:', error));
+
+        this.history.push({
+            label: 'Change part color',
+            coalesceKey: 'part-color',
+            target: part,
+            undo: () => this.updateColor(part, before),
+            redo: () => this.updateColor(part, color)
+        });
+    }
+
+    // ==================== COLORWAYS ====================
+
+    /**
+     * Get the colors of the whole jersey (the colors of a colorway preset, see colorways.js)
+     * @returns {{partColors: Object, stripeColors: Object, designColors: Object}} Part base colors,
+     *   stripe colors per part and tab, and the design color remapping
+     */
+    getColorway() {
+        const partColors = {};
+        const stripeColors = {};
+
+        Object.keys(this.stripeLayersByPart).forEach(partName => {
+            partColors[partName] = this.partBaseColors[partName] || null;
+            stripeColors[partName] = Object.fromEntries(
+                Object.entries(this.stripeLayersByPart[partName]).map(([tabId, config]) => [tabId, config.color])
+            );
+        });
+
+        return { partColors, stripeColors, designColors: { ...this.designColorMap } };
+    }
+
+    /**
+     * Set the colors of the whole jersey in one go; stripe layouts and logos are kept
+     * Parts and stripe layers the colorway does not mention keep their colors
+     * @param {Object} colorway - Result of getColorway()
+     * @returns {Promise<void>} Resolves once the parts show the new colors
+     */
+    setColorway(colorway) {
+        if (colorway.designColors) {
+            this.designColorMap = cleanColorMap(colorway.designColors);
+        }
+
+        Object.entries(this.partCanvases).forEach(([partName, fabricCanvas]) => {
+            if (colorway.partColors && partName in colorway.partColors) {
+                const color = colorway.partColors[partName];
+                if (color) {
+                    this.partBaseColors[partName] = color;
+                } else {
+                    delete this.partBaseColors[partName];
+                }
+                fabricCanvas.backgroundColor = color || '#ffffff';
+            }
+
+            const stripeColors = colorway.stripeColors?.[partName] || {};
+            Object.entries(stripeColors).forEach(([tabId, color]) => {
+                if (!color || !this.stripeLayersByPart[partName]?.[tabId]) return;
+                this.stripeLayersByPart[partName][tabId].color = color;
+
+                // Only layers on the canvas are redrawn (the others use the color once drawn)
+                if (this.getStripeLayerState(partName, tabId).drawn) {
+                    this.generateStripesForCanvas(fabricCanvas, partName, tabId);
+                }
             });
-        };
 
-        imgElement.onerror = () => {
-            console.error('❌ Error loading SVG:', svgPath);
-        };
+            fabricCanvas.renderAll();
+            this.updateTexture(partName);
+        });
+
+        if (this.isPrimary) {
+            this.updateStripeUIForCurrentPart();
+        }
+
+        return this.renderDesign();
+    }
+
+    /**
+     * Apply a colorway preset and record it in the undo history as one step
+     * @param {Object} colorway - Colorway preset
+     * @returns {Promise<void>}
+     */
+    applyColorway(colorway) {
+        const before = this.getColorway();
+        const rendered = this.setColorway(colorway);
+        const after = this.getColorway();
+
+        this.history.push({
+            label: colorway.name ? `Apply colorway "${colorway.name}"` : 'Apply colorway',
+            undo: () => this.setColorway(before),
+            redo: () => this.setColorway(after)
+        });
+
+        return rendered;
+    }
+
+    /**
+     * Render a small preview of the current model in each colorway
+     * Each colorway is drawn onto small offscreen copies of the part textures, which the model wears
+     * only for the synchronous offscreen render from the current camera; the part canvases, their
+     * colors and the view are never touched
+     * @param {Array<Object>} colorways - Colorway presets
+     * @param {number} [size=96] - Thumbnail width and height in pixels
+     * @returns {Promise<string[]>} PNG data URLs, in the order of colorways; empty if the model or
+     *   design changed while rendering
+     */
+    async renderColorwayThumbnails(colorways, size = 96) {
+        const model = this.current3DObject;
+        const svgText = this.designSVGText;
+        if (!model || colorways.length === 0) {
+            return [];
+        }
+
+        // Materials showing each part's texture
+        const partMaterials = {};
+        model.traverse((child) => {
+            if (!child.isMesh || !child.material || this.shouldExcludeMaterial(child.material)) return;
+            const partName = this.materialToPartMap[child.material.name];
+            if (partName && this.partCanvases[partName]) {
+                (partMaterials[partName] ||= []).push(child.material);
+            }
+        });
+
+        const previews = Object.fromEntries(Object.keys(partMaterials).map(partName => {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = COLORWAY_TEXTURE_SIZE;
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.minFilter = THREE.LinearFilter;
+            texture.magFilter = THREE.LinearFilter;
+            texture.generateMipmaps = false;
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.flipY = false;
+            return [partName, { canvas, texture }];
+        }));
+
+        const thumbnails = [];
+        try {
+            for (const colorway of colorways) {
+                const designColorMap = colorway.designColors ? cleanColorMap(colorway.designColors) : this.designColorMap;
+                const designBitmaps = new Map(); // Color map key -> bitmap, shared by parts with the same colors
+
+                try {
+                    for (const [partName, { canvas, texture }] of Object.entries(previews)) {
+                        const partColor = colorway.partColors && partName in colorway.partColors
+                            ? colorway.partColors[partName]
+                            : this.partBaseColors[partName];
+
+                        let designBitmap = null;
+                        if (svgText && this.partCanvases[partName].getObjects().some(obj => obj.name === 'designLayer')) {
+                            const colorMap = this.getPartColorMap(partName, designColorMap, partColor);
+                            const key = JSON.stringify(colorMap);
+                            if (!designBitmaps.has(key)) {
+                                const { bitmap } = await rasterizeSvg(recolorSvg(svgText, colorMap),
+                                    COLORWAY_TEXTURE_SIZE, COLORWAY_TEXTURE_SIZE);
+                                designBitmaps.set(key, bitmap);
+                            }
+                            designBitmap = designBitmaps.get(key);
+                        }
+
+                        this.drawColorwayPreview(partName, canvas, {
+                            partColor,
+                            designBitmap,
+                            stripeColors: colorway.stripeColors?.[partName]
+                        });
+                        texture.needsUpdate = true;
+                    }
+                } finally {
+                    designBitmaps.forEach(bitmap => bitmap.close());
+                }
+
+                // A new design or variation makes the previews meaningless
+                if (this.current3DObject !== model || this.designSVGText !== svgText) {
+                    debugLog('⏭️ Model or design changed, discarding colorway thumbnails');
+                    return [];
+                }
+
+                // Swapped and restored without yielding, so the view never shows the preview textures
+                const liveMaps = new Map();
+                Object.entries(partMaterials).forEach(([partName, materials]) => {
+                    materials.forEach(material => {
+                        liveMaps.set(material, material.map);
+                        material.map = previews[partName].texture;
+                    });
+                });
+                try {
+                    thumbnails.push(this.renderOffscreen(size));
+                } finally {
+                    liveMaps.forEach((map, material) => { material.map = map; });
+                }
+            }
+        } finally {
+            Object.values(previews).forEach(({ texture }) => texture.dispose());
+        }
+
+        debugLog(`🖼️ Rendered ${thumbnails.length} colorway thumbnail(s)`);
+        return thumbnails;
+    }
 
-        imgElement.src = svgPath;
+    /**
+     * Draw a part canvas in other colors onto a small canvas, in canvas object order: the design
+     * raster, stripe layers in their colorway color, then logos and text layers as they are
+     * @param {string} partName - Part to draw
+     * @param {HTMLCanvasElement} canvas - Target (square)
+     * @param {Object} colors
+     * @param {string|null} colors.partColor - Background color
+     * @param {ImageBitmap|null} colors.designBitmap - Recolored design, null if the part shows none
+     * @param {Object} [colors.stripeColors] - { tab1..tab4: color }; missing tabs keep their color
+     */
+    drawColorwayPreview(partName, canvas, { partColor, designBitmap, stripeColors = {} }) {
+        const fabricCanvas = this.partCanvases[partName];
+        const ctx = canvas.getContext('2d');
+        const scale = canvas.width / fabricCanvas.width;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = partColor || '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+        fabricCanvas.getObjects().forEach(obj => {
+            if (obj.name === 'designLayer') {
+                if (designBitmap) {
+                    ctx.drawImage(designBitmap, 0, 0, fabricCanvas.width, fabricCanvas.height);
+                }
+            } else if (obj.name && obj.name.startsWith('stripeLayer')) {
+                // Stripes are unrotated rectangles
+                const rect = obj.getBoundingRect(true, true);
+                ctx.fillStyle = stripeColors[`tab${obj.name.replace('stripeLayer', '')}`] || obj.fill;
+                ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
+            } else if (obj.visible) {
+                ctx.save();
+                obj.render(ctx);
+                ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * Render the scene from the current camera into an offscreen target (the view is untouched)
+     * @param {number} size - Output width and height in pixels
+     * @returns {string} PNG data URL
+     */
+    renderOffscreen(size) {
+        // Rendered at twice the size and scaled down for smooth edges
+        const renderSize = size * 2;
+        const renderTarget = new THREE.WebGLRenderTarget(renderSize, renderSize);
+        renderTarget.texture.colorSpace = THREE.SRGBColorSpace;
+
+        const camera = this.camera.clone();
+        camera.aspect = 1;
+        camera.updateProjectionMatrix();
+
+        const pixels = new Uint8Array(renderSize * renderSize * 4);
+        const previousTarget = this.renderer.getRenderTarget();
+        try {
+            this.renderer.setRenderTarget(renderTarget);
+            this.renderer.render(this.scene, camera);
+            this.renderer.readRenderTargetPixels(renderTarget, 0, 0, renderSize, renderSize, pixels);
+        } finally {
+            this.renderer.setRenderTarget(previousTarget);
+            renderTarget.dispose();
+        }
+
+        // WebGL rows start at the bottom
+        const fullCanvas = document.createElement('canvas');
+        fullCanvas.width = fullCanvas.height = renderSize;
+        const fullContext = fullCanvas.getContext('2d');
+        const imageData = fullContext.createImageData(renderSize, renderSize);
+        const rowLength = renderSize * 4;
+        for (let y = 0; y < renderSize; y++) {
+            const sourceRow = (renderSize - 1 - y) * rowLength;
+            imageData.data.set(pixels.subarray(sourceRow, sourceRow + rowLength), y * rowLength);
+        }
+        fullContext.putImageData(imageData, 0, 0);
+
+        const outputCanvas = document.createElement('canvas');
+        outputCanvas.width = outputCanvas.height = size;
+        outputCanvas.getContext('2d').drawImage(fullCanvas, 0, 0, size, size);
+        return outputCanvas.toDataURL('image/png');
     }
 
     // ==================== STRIPE GENERATION METHODS ====================
@@ -1197,7 +1945,8 @@ class JerseyViewer {
      */
     getCurrentPartStripeLayers() {
         const partSelect = document.getElementById('jersey-part-select-colors');
-        const selectedPart = partSelect ? partSelect.value : 'front';
+        // The dropdown is filled by script.js, after the viewer is created
+        const selectedPart = partSelect && partSelect.value ? partSelect.value : 'front';
         return this.stripeLayersByPart[selectedPart];
     }
 
@@ -1206,7 +1955,8 @@ class JerseyViewer {
      */
     updateStripeUIForCurrentPart() {
         const partSelect = document.getElementById('jersey-part-select-colors');
-        const selectedPart = partSelect ? partSelect.value : 'front';
+        // The dropdown is filled by script.js, after the viewer is created
+        const selectedPart = partSelect && partSelect.value ? partSelect.value : 'front';
         const partConfig = this.stripeLayersByPart[selectedPart];
 
         debugLog(`🔄 Updating stripe UI for part: ${selectedPart}`);
@@ -1320,10 +2070,10 @@ class JerseyViewer {
             stripe.moveTo(1); // Position 0 is the base design, position 1+ are stripes
         });
 
-        // Ensure logos stay on top
+        // Ensure logos and texts stay on top
         const objects = fabricCanvas.getObjects();
         objects.forEach(obj => {
-            if (obj.type === 'image' && obj.name === 'logoLayer') {
+            if (this.isOverlayObject(obj)) {
                 obj.bringToFront();
             }
         });
@@ -1335,22 +2085,177 @@ class JerseyViewer {
     }
 
     /**
-     * Clear all stripes of a specific layer from a canvas
-     * @param {fabric.Canvas} fabricCanvas - The Fabric.js canvas
-     * @param {string} layerName - The layer name to clear (e.g., 'stripeLayer1')
+     * Apply a stripe setting to the selected part and record it in the undo history
+     * Consecutive changes of the same setting (slider drags) are merged into one history step
+     * @param {string} tabId - The tab identifier (tab1, tab2, tab3, tab4)
+     * @param {string} property - count, color, position, gap or thickness
+     * @param {number|string} value - The new value
      */
-    clearStripesLayer(fabricCanvas, layerName) {
-        const objectsToRemove = fabricCanvas.getObjects().filter(obj => obj.name === layerName);
-        objectsToRemove.forEach(obj => {
-            fabricCanvas.remove(obj);
-            if (obj.dispose) obj.dispose();
+    editSelectedPartStripes(tabId, property, value) {
+        const partSelect = document.getElementById('jersey-part-select-colors');
+        const partName = partSelect ? partSelect.value : 'front';
+
+        const before = this.getStripeLayerState(partName, tabId);
+        this.stripeLayersByPart[partName][tabId][property] = value;
+        this.generateStripesForSelectedPart(tabId);
+        const after = this.getStripeLayerState(partName, tabId);
+
+        this.history.push({
+            label: `Stripes ${tabId} ${property} (${partName})`,
+            coalesceKey: `stripes:${partName}:${tabId}:${property}`,
+            undo: () => this.setStripeLayerState(partName, tabId, before),
+            redo: () => this.setStripeLayerState(partName, tabId, after)
         });
     }
 
     /**
-     * Create stripe rectangle objects (adapted from sock configurator)
-     * @param {string} orientation - 'horizontal' or 'vertical'
-     * @param {number} numStripes - Number of stripes to create
+     * Snapshot of one stripe layer for the undo history
+     * @param {string} partName - The part name
+     * @param {string} tabId - The tab identifier
+     * @returns {{config: Object, drawn: boolean}} The tab configuration and whether its layer is on the canvas
+     */
+    getStripeLayerState(partName, tabId) {
+        const layerName = `stripeLayer${tabId.replace('tab', '')}`;
+        const fabricCanvas = this.partCanvases[partName];
+        return {
+            config: { ...this.stripeLayersByPart[partName][tabId] },
+            drawn: !!fabricCanvas && fabricCanvas.getObjects().some(obj => obj.name === layerName)
+        };
+    }
+
+    /**
+     * Restore a stripe layer snapshot taken by getStripeLayerState()
+     * @param {string} partName - The part name
+     * @param {string} tabId - The tab identifier
+     * @param {{config: Object, drawn: boolean}} state - The snapshot
+     */
+    setStripeLayerState(partName, tabId, state) {
+        this.stripeLayersByPart[partName][tabId] = { ...state.config };
+
+        const fabricCanvas = this.partCanvases[partName];
+        if (fabricCanvas) {
+            if (state.drawn) {
+                this.generateStripesForCanvas(fabricCanvas, partName, tabId);
+            } else {
+                this.clearStripesLayer(fabricCanvas, `stripeLayer${tabId.replace('tab', '')}`);
+                fabricCanvas.renderAll();
+                this.updateTexture(partName);
+            }
+        }
+
+        if (this.isPrimary) {
+            this.updateStripeUIForCurrentPart();
+        }
+    }
+
+    /**
+     * Change the stripe orientation and redraw the active stripe layers of a part
+     * @param {string} orientation - 'horizontal' or 'vertical'
+     * @param {string} partName - The part whose stripes are redrawn
+     */
+    setStripeOrientation(orientation, partName) {
+        this.stripeOrientation = orientation;
+
+        const radio = document.querySelector(`input[name="jersey-orientation"][value="${orientation}"]`);
+        if (radio) radio.checked = true;
+
+        const fabricCanvas = this.partCanvases[partName];
+        if (!fabricCanvas) return;
+
+        // Regenerate all active stripe layers for the part
+        ['tab1', 'tab2', 'tab3', 'tab4'].forEach(tabId => {
+            if (this.stripeLayersByPart[partName][tabId].count > 0) {
+                this.generateStripesForCanvas(fabricCanvas, partName, tabId);
+            }
+        });
+    }
+
+    /**
+     * Switch the active bounding box set for a shoulder type and move existing stripes and logos into it
+     * @param {string} shoulder - A shoulder id from the variation registry
+     */
+    setShoulderType(shoulder) {
+        if (shoulder === this.currentShoulderType) return;
+
+        const previousBoundingBoxes = this.partBoundingBoxes;
+        this.currentShoulderType = shoulder;
+        this.partBoundingBoxes = getBoundingBoxes(shoulder);
+
+        debugLog(`🔀 Switched to "${shoulder}" bounding boxes`);
+
+        // Recorded positions belong to the previous boxes
+        this.history.clear();
+
+        this.relayoutParts(previousBoundingBoxes);
+    }
+
+    /**
+     * Re-lay out stripes and logos of every part after the active bounding boxes changed
+     * Stripes are regenerated from their configuration; logos keep their position relative to the box
+     * and are scaled by how much the box shrank or grew
+     * @param {Object} previousBoundingBoxes - The bounding box set the canvases were laid out with
+     */
+    relayoutParts(previousBoundingBoxes) {
+        Object.entries(this.partCanvases).forEach(([partName, fabricCanvas]) => {
+            const oldBox = previousBoundingBoxes[partName] || previousBoundingBoxes['front'];
+            const newBox = this.partBoundingBoxes[partName] || this.partBoundingBoxes['front'];
+
+            // Regenerate only the stripe layers that are currently on the canvas
+            ['tab1', 'tab2', 'tab3', 'tab4'].forEach(tabId => {
+                const layerName = `stripeLayer${tabId.replace('tab', '')}`;
+                if (fabricCanvas.getObjects().some(obj => obj.name === layerName)) {
+                    this.generateStripesForCanvas(fabricCanvas, partName, tabId);
+                }
+            });
+
+            const logos = fabricCanvas.getObjects().filter(obj => this.isOverlayObject(obj));
+            if (logos.length === 0) return;
+
+            const canvasWidth = fabricCanvas.width;
+            const canvasHeight = fabricCanvas.height;
+            const scaleRatio = Math.min(newBox.width / oldBox.width, newBox.height / oldBox.height);
+
+            logos.forEach(logo => {
+                // Position relative to the old box (0-1 inside the box)
+                const relativeX = (logo.left / canvasWidth - oldBox.x) / oldBox.width;
+                const relativeY = (logo.top / canvasHeight - oldBox.y) / oldBox.height;
+
+                logo.set({
+                    left: (newBox.x + relativeX * newBox.width) * canvasWidth,
+                    top: (newBox.y + relativeY * newBox.height) * canvasHeight,
+                    scaleX: logo.scaleX * scaleRatio,
+                    scaleY: logo.scaleY * scaleRatio
+                });
+                if (logo.baseScale) {
+                    logo.baseScale *= scaleRatio;
+                }
+                logo.setCoords();
+            });
+
+            fabricCanvas.renderAll();
+            this.updateTexture(partName);
+
+            debugLog(`📦 Moved ${logos.length} logo(s) on "${partName}" into new bounding box`);
+        });
+    }
+
+    /**
+     * Clear all stripes of a specific layer from a canvas
+     * @param {fabric.Canvas} fabricCanvas - The Fabric.js canvas
+     * @param {string} layerName - The layer name to clear (e.g., 'stripeLayer1')
+     */
+    clearStripesLayer(fabricCanvas, layerName) {
+        const objectsToRemove = fabricCanvas.getObjects().filter(obj => obj.name === layerName);
+        objectsToRemove.forEach(obj => {
+            fabricCanvas.remove(obj);
+            if (obj.dispose) obj.dispose();
+        });
+    }
+
+    /**
+     * Create stripe rectangle objects (adapted from sock configurator)
+     * @param {string} orientation - 'horizontal' or 'vertical'
+     * @param {number} numStripes - Number of stripes to create
      * @param {number} stripeThickness - Thickness of each stripe (in units)
      * @param {number} stripeGap - Gap between stripes (in units)
      * @param {string} stripeColor - Color of the stripes (hex or rgb)
@@ -1360,17 +2265,19 @@ class JerseyViewer {
      */
     createStripeRectangles(orientation, numStripes, stripeThickness, stripeGap, stripeColor, stripesOffsetTop, layerName, bbox = null) {
         const stripes = [];
-        const canvasWidth = 2048;  // Jersey canvas size
-        const canvasHeight = 2048;
+        const canvasWidth = this.textureResolution;  // Jersey canvas size
+        const canvasHeight = this.textureResolution;
+        // Units are defined on a 2048 canvas; stripes keep their size on the jersey at other resolutions
+        const unitScale = this.textureResolution / DEFAULT_TEXTURE_RESOLUTION;
 
         // Convert units to pixels (multiply by 10 for scaling)
-        const thickness = stripeThickness * 10;
-        const gap = stripeGap * 10;
-        const offset = stripesOffsetTop * 10;
+        const thickness = stripeThickness * 10 * unitScale;
+        const gap = stripeGap * 10 * unitScale;
+        const offset = stripesOffsetTop * 10 * unitScale;
 
         // Use bounding box coordinates if provided, otherwise use legacy values
         let startX = 0;
-        let startY = canvasHeight - 400; // Legacy default
+        let startY = canvasHeight - 400 * unitScale; // Legacy default
         let bboxWidth = canvasWidth;
         let bboxHeight = canvasHeight;
 
@@ -1438,14 +2345,18 @@ class JerseyViewer {
         const orientationRadios = document.querySelectorAll('input[name="jersey-orientation"]');
         orientationRadios.forEach(radio => {
             radio.addEventListener('change', (e) => {
-                this.stripeOrientation = e.target.value;
+                const partSelect = document.getElementById('jersey-part-select-colors');
+                const partName = partSelect ? partSelect.value : 'front';
+                const previousOrientation = this.stripeOrientation;
+                const orientation = e.target.value;
+
+                this.setStripeOrientation(orientation, partName);
                 debugLog(`🔄 Stripe orientation changed to: ${this.stripeOrientation}`);
 
-                // Regenerate all active stripe layers for selected part
-                ['tab1', 'tab2', 'tab3', 'tab4'].forEach(tabId => {
-                    if (this.getCurrentPartStripeLayers()[tabId].count > 0) {
-                        this.generateStripesForSelectedPart(tabId);
-                    }
+                this.history.push({
+                    label: 'Stripe orientation',
+                    undo: () => this.setStripeOrientation(previousOrientation, partName),
+                    redo: () => this.setStripeOrientation(orientation, partName)
                 });
             });
         });
@@ -1456,9 +2367,8 @@ class JerseyViewer {
             const countSelect = document.getElementById(`jersey-stripes-select-${tabId}`);
             if (countSelect) {
                 countSelect.addEventListener('change', (e) => {
-                    this.getCurrentPartStripeLayers()[tabId].count = parseInt(e.target.value);
+                    this.editSelectedPartStripes(tabId, 'count', parseInt(e.target.value));
                     debugLog(`📊 ${tabId} stripe count: ${this.getCurrentPartStripeLayers()[tabId].count}`);
-                    this.generateStripesForSelectedPart(tabId);
                 });
             }
 
@@ -1466,9 +2376,8 @@ class JerseyViewer {
             const colorInput = document.getElementById(`jersey-stripes-color-${tabId}`);
             if (colorInput) {
                 colorInput.addEventListener('input', (e) => {
-                    this.getCurrentPartStripeLayers()[tabId].color = e.target.value;
+                    this.editSelectedPartStripes(tabId, 'color', e.target.value);
                     debugLog(`🎨 ${tabId} stripe color: ${this.getCurrentPartStripeLayers()[tabId].color}`);
-                    this.generateStripesForSelectedPart(tabId);
                 });
             }
 
@@ -1476,9 +2385,8 @@ class JerseyViewer {
             const positionInput = document.getElementById(`jersey-stripes-position-${tabId}`);
             if (positionInput) {
                 positionInput.addEventListener('input', (e) => {
-                    this.getCurrentPartStripeLayers()[tabId].position = parseFloat(e.target.value);
+                    this.editSelectedPartStripes(tabId, 'position', parseFloat(e.target.value));
                     debugLog(`📍 ${tabId} stripe position: ${this.getCurrentPartStripeLayers()[tabId].position}`);
-                    this.generateStripesForSelectedPart(tabId);
                 });
             }
 
@@ -1486,9 +2394,8 @@ class JerseyViewer {
             const gapInput = document.getElementById(`jersey-stripes-gap-${tabId}`);
             if (gapInput) {
                 gapInput.addEventListener('input', (e) => {
-                    this.getCurrentPartStripeLayers()[tabId].gap = parseFloat(e.target.value);
+                    this.editSelectedPartStripes(tabId, 'gap', parseFloat(e.target.value));
                     debugLog(`↔️ ${tabId} stripe gap: ${this.getCurrentPartStripeLayers()[tabId].gap}`);
-                    this.generateStripesForSelectedPart(tabId);
                 });
             }
 
@@ -1496,9 +2403,8 @@ class JerseyViewer {
             const thicknessInput = document.getElementById(`jersey-stripes-thickness-${tabId}`);
             if (thicknessInput) {
                 thicknessInput.addEventListener('input', (e) => {
-                    this.getCurrentPartStripeLayers()[tabId].thickness = parseFloat(e.target.value);
+                    this.editSelectedPartStripes(tabId, 'thickness', parseFloat(e.target.value));
                     debugLog(`📏 ${tabId} stripe thickness: ${this.getCurrentPartStripeLayers()[tabId].thickness}`);
-                    this.generateStripesForSelectedPart(tabId);
                 });
             }
         });
@@ -1520,7 +2426,8 @@ class JerseyViewer {
 
 
     // Load uploaded logo image onto Fabric canvas
-    readLogo(publicUrl) {
+    // label (e.g. the uploaded file name) is shown in the logo list
+    readLogo(publicUrl, label = null) {
         debugLog('📸 Loading uploaded logo:', publicUrl);
         const startTime = performance.now();
 
@@ -1575,7 +2482,7 @@ class JerseyViewer {
             const bboxCenterX = canvasWidth * (bbox.x + bbox.width / 2);
             const bboxCenterY = canvasHeight * (bbox.y + bbox.height / 2);
 
-            // Apply scaling and position at bbox center with enhanced styling
+            // Apply scaling and position at bbox center
             img.set({
                 scaleX: scale,
                 scaleY: scale,
@@ -1583,53 +2490,11 @@ class JerseyViewer {
                 originY: 'center',
                 left: bboxCenterX,
                 top: bboxCenterY,
-                selectable: true,
-                hasControls: true,
-                hasBorders: true,
-                // Enhanced styling from previous project
-                cornerSize: 10,
-                transparentCorners: false,
-                cornerColor: 'blue',
-                borderColor: 'blue',
-                cornerStyle: 'circle',
-                centeredScaling: true,
-                padding: 5,
                 name: "logoLayer"
             });
+            this.setupOverlayControls(img);
 
-            // Enable uniform scaling (maintain aspect ratio)
-            // Disable middle handles and rotation to prevent distortion
-            img.setControlsVisibility({
-                mt: false,    // middle top
-                mb: false,    // middle bottom
-                ml: false,    // middle left
-                mr: false,    // middle right
-                mtr: false    // disable rotation control (we'll use custom controls)
-            });
-
-            // Add custom delete control
-            img.controls.deleteControl = new fabric.Control({
-                x: 0.5,
-                y: 0.0,
-                offsetY: 0,
-                offsetX: 48,
-                cursorStyle: 'pointer',
-                mouseUpHandler: this.deleteLogoObject.bind(this),
-                render: this.renderDeleteIcon.bind(this),
-                cornerSize: 72,
-            });
-
-            // Add custom clone control
-            img.controls.cloneControl = new fabric.Control({
-                x: -0.5,
-                y: 0.0,
-                offsetY: 0,
-                offsetX: -48,
-                cursorStyle: 'pointer',
-                mouseUpHandler: this.cloneLogoObject.bind(this),
-                render: this.renderCloneIcon.bind(this),
-                cornerSize: 72,
-            });
+            img.logoLabel = label;
 
             debugLog(`📏 Logo scaled by ${scale.toFixed(2)}x and centered at (${bboxCenterX.toFixed(0)}, ${bboxCenterY.toFixed(0)}) on ${this.currentPart} canvas`);
 
@@ -1645,6 +2510,7 @@ class JerseyViewer {
 
             // Update the 3D texture for this part
             this.updateTexture(this.currentPart);
+            this.recordLogoAdded(this.currentPart, img, 'Add logo');
 
             const totalTime = performance.now() - startTime;
             debugLog(`⚡ Logo added to ${this.currentPart} and applied to 3D model in ${totalTime.toFixed(0)}ms`);
@@ -1652,6 +2518,7 @@ class JerseyViewer {
     }
 
     // Load logo with saved configuration (position, scale, rotation)
+    // Returns a Promise that resolves with the logo once it is on the canvas
     readLogoWithConfig(publicUrl, logoConfig, partName) {
         debugLog('📸 Loading logo with saved config:', publicUrl, logoConfig);
         const startTime = performance.now();
@@ -1660,99 +2527,66 @@ class JerseyViewer {
         const fabricCanvas = this.partCanvases[partName];
         if (!fabricCanvas) {
             console.error(`Canvas not found for part: ${partName}`);
-            return;
+            return Promise.reject(new Error(`Canvas not found for part: ${partName}`));
         }
 
-        // Use Fabric.js Image.fromURL to load the logo
-        fabric.Image.fromURL(publicUrl, (img) => {
-            if (!img) {
-                console.error('❌ Failed to load logo image');
-                return;
-            }
-
-            debugLog('✅ Logo image loaded successfully, applying saved configuration...');
-
-            // Apply saved configuration directly
-            img.set({
-                left: logoConfig.left,
-                top: logoConfig.top,
-                scaleX: logoConfig.scaleX,
-                scaleY: logoConfig.scaleY,
-                angle: logoConfig.angle || 0,
-                originX: logoConfig.originX || 'center',
-                originY: logoConfig.originY || 'center',
-                selectable: true,
-                hasControls: true,
-                hasBorders: true,
-                // Enhanced styling
-                cornerSize: 10,
-                transparentCorners: false,
-                cornerColor: 'blue',
-                borderColor: 'blue',
-                cornerStyle: 'circle',
-                centeredScaling: true,
-                padding: 5,
-                name: "logoLayer"
-            });
-
-            // Enable uniform scaling (maintain aspect ratio)
-            img.setControlsVisibility({
-                mt: false,    // middle top
-                mb: false,    // middle bottom
-                ml: false,    // middle left
-                mr: false,    // middle right
-                mtr: false    // disable rotation control
-            });
-
-            // Add custom delete control
-            img.controls.deleteControl = new fabric.Control({
-                x: 0.5,
-                y: 0.0,
-                offsetY: 0,
-                offsetX: 48,
-                cursorStyle: 'pointer',
-                mouseUpHandler: this.deleteLogoObject.bind(this),
-                render: this.renderDeleteIcon.bind(this),
-                cornerSize: 72,
-            });
+        return new Promise((resolve, reject) => {
+            // Use Fabric.js Image.fromURL to load the logo
+            fabric.Image.fromURL(publicUrl, (img) => {
+                if (!img || !img.getElement()) {
+                    console.error('❌ Failed to load logo image');
+                    reject(new Error(`Failed to load logo image for ${partName}`));
+                    return;
+                }
 
-            // Add custom clone control
-            img.controls.cloneControl = new fabric.Control({
-                x: -0.5,
-                y: 0.0,
-                offsetY: 0,
-                offsetX: -48,
-                cursorStyle: 'pointer',
-                mouseUpHandler: this.cloneLogoObject.bind(this),
-                render: this.renderCloneIcon.bind(this),
-                cornerSize: 72,
-            });
+                debugLog('✅ Logo image loaded successfully, applying saved configuration...');
+
+                // Apply saved configuration directly
+                img.set({
+                    left: logoConfig.left,
+                    top: logoConfig.top,
+                    scaleX: logoConfig.scaleX,
+                    scaleY: logoConfig.scaleY,
+                    angle: logoConfig.angle || 0,
+                    originX: logoConfig.originX || 'center',
+                    originY: logoConfig.originY || 'center',
+                    name: "logoLayer"
+                });
+                this.setupOverlayControls(img);
+                if (logoConfig.baseScale) {
+                    img.baseScale = logoConfig.baseScale;
+                }
+                img.logoLabel = logoConfig.label || null;
 
-            debugLog(`📏 Logo restored at (${logoConfig.left.toFixed(0)}, ${logoConfig.top.toFixed(0)}) with scale ${logoConfig.scaleX.toFixed(2)}x and rotation ${logoConfig.angle}° on ${partName} canvas`);
+                debugLog(`📏 Logo restored at (${logoConfig.left.toFixed(0)}, ${logoConfig.top.toFixed(0)}) with scale ${logoConfig.scaleX.toFixed(2)}x and rotation ${logoConfig.angle}° on ${partName} canvas`);
 
-            // Add logo to canvas
-            fabricCanvas.add(img);
+                // Add logo to canvas
+                fabricCanvas.add(img);
 
-            fabricCanvas.renderAll();
+                fabricCanvas.renderAll();
 
-            // Update the 3D texture for this part
-            this.updateTexture(partName);
+                // Update the 3D texture for this part
+                this.updateTexture(partName);
 
-            const totalTime = performance.now() - startTime;
-            debugLog(`⚡ Logo restored to ${partName} in ${totalTime.toFixed(0)}ms`);
-        }, { crossOrigin: 'anonymous' });
+                const totalTime = performance.now() - startTime;
+                debugLog(`⚡ Logo restored to ${partName} in ${totalTime.toFixed(0)}ms`);
+                resolve(img);
+            }, { crossOrigin: 'anonymous' });
+        });
     }
 
     // Delete logo object handler
     deleteLogoObject(eventData, transform) {
         const target = transform.target;
         const canvas = target.canvas;
+        const partName = this.getCanvasPartName(canvas);
+        const index = canvas.getObjects().indexOf(target);
         canvas.remove(target);
         canvas.requestRenderAll();
 
         // Update 3D texture after deletion
-        const partName = this.currentPart;
         this.updateTexture(partName);
+        this.recordLogoRemoved(partName, target, index, this.getOverlayLabel(target, 'Delete'));
 
         debugLog(`🗑️ Logo deleted from "${partName}"`);
         return true;
@@ -1770,11 +2604,15 @@ class JerseyViewer {
             });
 
             // Set name property directly (not through set() to avoid issues)
-            cloned.name = 'logoLayer';
+            cloned.name = target.name === 'textLayer' ? 'textLayer' : 'logoLayer';
 
             // Copy custom controls to cloned object
             cloned.controls.deleteControl = target.controls.deleteControl;
             cloned.controls.cloneControl = target.controls.cloneControl;
+            cloned.logoLabel = target.logoLabel;
+            if (target.textSettings) {
+                cloned.textSettings = { ...target.textSettings };
+            }
 
             // Copy baseScale property for slider functionality
             if (target.baseScale) {
@@ -1789,8 +2627,9 @@ class JerseyViewer {
             canvas.requestRenderAll();
 
             // Update 3D texture after cloning
-            const partName = this.currentPart;
+            const partName = this.getCanvasPartName(canvas);
             this.updateTexture(partName);
+            this.recordLogoAdded(partName, cloned, this.getOverlayLabel(target, 'Clone'));
 
             debugLog(`📋 Logo cloned on "${partName}" with name: "${cloned.name}", baseScale: ${cloned.baseScale}`);
         });
@@ -1798,138 +2637,646 @@ class JerseyViewer {
         return true;
     }
 
-    // Render delete icon (red circle with white X)
-    renderDeleteIcon(ctx, left, top, styleOverride, fabricObject) {
-        const size = 72;
-
-        ctx.save();
-        ctx.translate(left, top);
-
-        // Draw the delete icon image if loaded
-        if (this.deleteIcon && this.deleteIcon.complete) {
-            ctx.drawImage(this.deleteIcon, -size / 2, -size / 2, size, size);
-        } else {
-            // Fallback: Draw red circle with white X if image not loaded
-            ctx.beginPath();
-            ctx.arc(0, 0, size / 2, 0, 2 * Math.PI);
-            ctx.fillStyle = '#ff4444';
-            ctx.fill();
+    // Find which part a Fabric canvas belongs to
+    getCanvasPartName(fabricCanvas) {
+        return Object.keys(this.partCanvases).find(key => this.partCanvases[key] === fabricCanvas) || null;
+    }
 
-            ctx.strokeStyle = '#ffffff';
-            ctx.lineWidth = 2;
-            const offset = size / 4;
-            ctx.beginPath();
-            ctx.moveTo(-offset, -offset);
-            ctx.lineTo(offset, offset);
-            ctx.moveTo(offset, -offset);
-            ctx.lineTo(-offset, offset);
-            ctx.stroke();
+    /**
+     * The selected logo or text layer, if any
+     * @returns {{partName: string, object: fabric.Object}|null}
+     */
+    getSelectedOverlay() {
+        for (const [partName, fabricCanvas] of Object.entries(this.partCanvases)) {
+            const object = fabricCanvas.getActiveObject();
+            if (this.isOverlayObject(object)) {
+                return { partName, object };
+            }
         }
+        return null;
+    }
 
-        ctx.restore();
+    /**
+     * List the logos placed on all parts, in canvas stacking order
+     * @returns {Array<{partName: string, logo: fabric.Image, isActive: boolean}>}
+     */
+    getPlacedLogos() {
+        const placed = [];
+        Object.entries(this.partCanvases).forEach(([partName, fabricCanvas]) => {
+            const activeObject = fabricCanvas.getActiveObject();
+            fabricCanvas.getObjects()
+                .filter(obj => obj.type === 'image' && obj.name === 'logoLayer')
+                .forEach(logo => placed.push({ partName, logo, isActive: logo === activeObject }));
+        });
+        return placed;
     }
 
-    // Render clone icon (using copy.svg)
-    renderCloneIcon(ctx, left, top, styleOverride, fabricObject) {
-        const size = 72;
+    // Select a logo (e.g. from the logo list) so the sliders and 3D dragging act on it
+    selectLogo(partName, logo) {
+        Object.entries(this.partCanvases).forEach(([otherPart, fabricCanvas]) => {
+            if (otherPart !== partName && fabricCanvas.getActiveObject()) {
+                fabricCanvas.discardActiveObject();
+                fabricCanvas.renderAll();
+                this.updateTexture(otherPart);
+            }
+        });
 
-        ctx.save();
-        ctx.translate(left, top);
+        const fabricCanvas = this.partCanvases[partName];
+        this.currentPart = partName;
+        fabricCanvas.setActiveObject(logo);
+        fabricCanvas.renderAll();
+        this.updateTexture(partName);
+    }
 
-        // Draw the copy icon image if loaded
-        if (this.copyIcon && this.copyIcon.complete) {
-            ctx.drawImage(this.copyIcon, -size / 2, -size / 2, size, size);
-        } else {
-            // Fallback: Draw green circle with white + if image not loaded
-            ctx.beginPath();
-            ctx.arc(0, 0, size / 2, 0, 2 * Math.PI);
-            ctx.fillStyle = '#44cc44';
-            ctx.fill();
+    // Delete a logo (e.g. from the logo list); can be undone
+    removeLogo(partName, logo) {
+        const index = this.partCanvases[partName].getObjects().indexOf(logo);
+        if (index === -1) return;
 
-            ctx.strokeStyle = '#ffffff';
-            ctx.lineWidth = 2;
-            const offset = size / 4;
-            ctx.beginPath();
-            ctx.moveTo(-offset, 0);
-            ctx.lineTo(offset, 0);
-            ctx.moveTo(0, -offset);
-            ctx.lineTo(0, offset);
-            ctx.stroke();
-        }
+        this.detachLogo(partName, logo);
+        this.recordLogoRemoved(partName, logo, index);
+        debugLog(`🗑️ Logo deleted from "${partName}"`);
+    }
 
-        ctx.restore();
+    // Position, scale and rotation of a logo (undo history snapshots)
+    getLogoTransform(logo) {
+        return {
+            left: logo.left,
+            top: logo.top,
+            scaleX: logo.scaleX,
+            scaleY: logo.scaleY,
+            angle: logo.angle || 0
+        };
     }
 
-    // Setup UI controls for logo scale and rotation
-    setupLogoControls() {
-        const scaleSlider = document.getElementById('logo-scale');
-        const rotateSlider = document.getElementById('logo-rotate');
+    setLogoTransform(partName, logo, transform) {
+        const fabricCanvas = this.partCanvases[partName];
+        logo.set(transform);
+        logo.setCoords();
 
-        if (!scaleSlider || !rotateSlider) {
-            console.warn('Logo controls not found');
-            return;
+        if (fabricCanvas) {
+            fabricCanvas.renderAll();
+            this.updateTexture(partName);
+            if (fabricCanvas.getActiveObject() === logo) {
+                this.updateLogoSliders(logo);
+            }
         }
+    }
 
-        // Remove existing event listeners to avoid duplicates
-        const newScaleSlider = scaleSlider.cloneNode(true);
-        const newRotateSlider = rotateSlider.cloneNode(true);
-        scaleSlider.parentNode.replaceChild(newScaleSlider, scaleSlider);
-        rotateSlider.parentNode.replaceChild(newRotateSlider, rotateSlider);
+    /**
+     * Record a logo move, scale or rotation in the undo history (nothing is recorded if it did not change)
+     * @param {string} partName - Part the logo is on
+     * @param {fabric.Image} logo - The logo
+     * @param {Object} before - getLogoTransform() result from before the edit
+     * @param {string} label - History label
+     * @param {string} [coalesceKey] - Merge consecutive edits with this key (slider drags)
+     */
+    recordLogoTransform(partName, logo, before, label, coalesceKey = null) {
+        const after = this.getLogoTransform(logo);
+        if (Object.keys(after).every(key => after[key] === before[key])) return;
+
+        this.history.push({
+            label,
+            coalesceKey,
+            target: logo,
+            undo: () => this.setLogoTransform(partName, logo, before),
+            redo: () => this.setLogoTransform(partName, logo, after)
+        });
+    }
 
-        // Scale control - works with active object
-        newScaleSlider.addEventListener('input', (e) => {
-            // Find the canvas with an active object
-            let activeObject = null;
-            let activeCanvas = null;
+    // Record a logo that was just added to a canvas (upload or clone)
+    recordLogoAdded(partName, logo, label) {
+        const index = this.partCanvases[partName].getObjects().indexOf(logo);
+        this.history.push({
+            label,
+            undo: () => this.detachLogo(partName, logo),
+            redo: () => this.insertLogo(partName, logo, index)
+        });
+    }
 
-            for (const [partName, fabricCanvas] of Object.entries(this.partCanvases)) {
-                const obj = fabricCanvas.getActiveObject();
+    // Record a logo that was just removed from a canvas; index is its former stacking position
+    recordLogoRemoved(partName, logo, index, label = 'Delete logo') {
+        this.history.push({
+            label,
+            undo: () => this.insertLogo(partName, logo, index),
+            redo: () => this.detachLogo(partName, logo)
+        });
+    }
 
-                // Check if it's a logo - either has correct name OR is a selectable image with custom controls
-                if (obj && obj.type === 'image') {
-                    const hasLogoName = obj.name === 'logoLayer';
-                    const hasCustomControls = obj.controls && (obj.controls.deleteControl || obj.controls.cloneControl);
+    insertLogo(partName, logo, index) {
+        const fabricCanvas = this.partCanvases[partName];
+        fabricCanvas.insertAt(logo, Math.min(index, fabricCanvas.getObjects().length));
+        fabricCanvas.renderAll();
+        this.updateTexture(partName);
+    }
 
-                    if (hasLogoName || hasCustomControls) {
-                        activeObject = obj;
-                        activeCanvas = fabricCanvas;
-                        break;
-                    }
-                }
-            }
+    detachLogo(partName, logo) {
+        const fabricCanvas = this.partCanvases[partName];
+        if (fabricCanvas.getActiveObject() === logo) {
+            fabricCanvas.discardActiveObject();
+            this.resetLogoSliders();
+        }
+        fabricCanvas.remove(logo);
+        fabricCanvas.renderAll();
+        this.updateTexture(partName);
+    }
 
-            if (!activeObject || !activeCanvas) {
-                debugLog('No logo selected - scale slider has no effect');
-                return;
-            }
+    // ==================== TEXT LAYERS ====================
 
-            const scaleMultiplier = parseFloat(e.target.value);
+    // Logos and text layers are the objects that can be selected, dragged on the model and deleted
+    isOverlayObject(obj) {
+        return !!obj && ((obj.type === 'image' && obj.name === 'logoLayer') || obj.name === 'textLayer');
+    }
 
-            // Calculate base scale from current object if not stored
-            if (!activeObject.baseScale) {
-                activeObject.baseScale = activeObject.scaleX;
-            }
+    // History label for an edit of a logo or text layer, e.g. "Move logo" / "Move number"
+    getOverlayLabel(obj, action) {
+        if (obj.name !== 'textLayer') return `${action} logo`;
+        return `${action} ${obj.textSettings?.role === 'number' ? 'number' : 'name'}`;
+    }
 
-            const newScale = activeObject.baseScale * scaleMultiplier;
+    // Selection styling and delete/clone controls of logos and text layers
+    setupOverlayControls(obj) {
+        obj.set({
+            selectable: true,
+            hasControls: true,
+            hasBorders: true,
+            cornerSize: 10,
+            transparentCorners: false,
+            cornerColor: 'blue',
+            borderColor: 'blue',
+            cornerStyle: 'circle',
+            centeredScaling: true,
+            padding: 5
+        });
 
-            activeObject.set({
-                scaleX: newScale,
-                scaleY: newScale
-            });
+        // Uniform scaling only; rotation uses the slider
+        obj.setControlsVisibility({
+            mt: false,
+            mb: false,
+            ml: false,
+            mr: false,
+            mtr: false
+        });
 
-            activeCanvas.renderAll();
+        obj.controls.deleteControl = new fabric.Control({
+            x: 0.5,
+            y: 0.0,
+            offsetY: 0,
+            offsetX: 48,
+            cursorStyle: 'pointer',
+            mouseUpHandler: this.deleteLogoObject.bind(this),
+            render: this.renderDeleteIcon.bind(this),
+            cornerSize: 72,
+        });
 
-            // Update texture for the part where the logo is
-            const partName = Object.keys(this.partCanvases).find(
-                key => this.partCanvases[key] === activeCanvas
-            );
-            if (partName) {
-                this.updateTexture(partName);
-            }
+        obj.controls.cloneControl = new fabric.Control({
+            x: -0.5,
+            y: 0.0,
+            offsetY: 0,
+            offsetX: -48,
+            cursorStyle: 'pointer',
+            mouseUpHandler: this.cloneLogoObject.bind(this),
+            render: this.renderCloneIcon.bind(this),
+            cornerSize: 72,
         });
+    }
 
-        // Rotation control - works with active object
-        newRotateSlider.addEventListener('input', (e) => {
+    /**
+     * Add a player name or number to a part
+     * Names are placed in the upper quarter of the part's bounding box, numbers in the middle
+     * @param {string} partName - Part to add the text to
+     * @param {Object} settings - Overrides of DEFAULT_TEXT_SETTINGS (see text-layers.js)
+     * @returns {Promise<fabric.Text>} The text layer once it is on the canvas
+     */
+    async addTextLayer(partName, settings) {
+        const fabricCanvas = this.partCanvases[partName];
+        if (!fabricCanvas) {
+            throw new Error(`Canvas not found for part: ${partName}`);
+        }
+
+        const textObject = await this.createTextLayer(partName, settings);
+        const textSettings = textObject.textSettings;
+
+        fabricCanvas.add(textObject);
+        fabricCanvas.setActiveObject(textObject);
+        fabricCanvas.renderAll();
+        this.updateTexture(partName);
+        this.recordLogoAdded(partName, textObject, this.getOverlayLabel(textObject, 'Add'));
+
+        debugLog(`🔤 Added ${textSettings.role} "${textSettings.text}" to "${partName}"`);
+        return textObject;
+    }
+
+    // Build a text layer at its default place in the part (not added to the canvas)
+    async createTextLayer(partName, settings) {
+        const fabricCanvas = this.partCanvases[partName];
+        const textSettings = { ...DEFAULT_TEXT_SETTINGS, ...settings };
+        await this.loadTextFont(textSettings.fontFamily);
+
+        const bbox = this.partBoundingBoxes[partName] || this.partBoundingBoxes['front'];
+        const textObject = new fabric.Text(textSettings.text || ' ', {
+            originX: 'center',
+            originY: 'center',
+            left: fabricCanvas.width * (bbox.x + bbox.width / 2),
+            top: fabricCanvas.height * (bbox.y + bbox.height * (textSettings.role === 'number' ? 0.55 : 0.25)),
+            name: 'textLayer'
+        });
+        this.setupOverlayControls(textObject);
+        this.applyTextSettings(partName, textObject, textSettings);
+        return textObject;
+    }
+
+    /**
+     * Personalize the back for each player of a roster and run callback while it is shown
+     * The first name and number layers on the back are used as templates (position, font, colors);
+     * missing ones are created with textStyle. The back is restored afterwards and nothing is
+     * recorded in the undo history
+     * @param {Array<{name: string, number: string}>} players - Roster rows
+     * @param {Function} callback - (player, index) => Promise, e.g. exports the personalized jersey
+     * @param {Object} [textStyle] - Text settings for layers that have to be created
+     * @returns {Promise<void>}
+     */
+    async renderRoster(players, callback, textStyle = {}) {
+        const partName = 'back';
+        const fabricCanvas = this.partCanvases[partName];
+        this.clearLogoSelection();
+
+        const backTexts = this.getTextLayers().filter(layer => layer.partName === partName).map(layer => layer.textObject);
+        const templates = {};
+        const created = [];
+        for (const role of ['name', 'number']) {
+            templates[role] = backTexts.find(textObject => textObject.textSettings.role === role);
+            if (!templates[role]) {
+                templates[role] = await this.createTextLayer(partName, { ...textStyle, role, text: ' ' });
+                fabricCanvas.add(templates[role]);
+                created.push(templates[role]);
+            }
+        }
+
+        const saved = Object.values(templates).map(textObject => ({
+            textObject,
+            state: this.getTextLayerState(textObject),
+            visible: textObject.visible
+        }));
+
+        try {
+            for (const [index, player] of players.entries()) {
+                ['name', 'number'].forEach(role => {
+                    const textObject = templates[role];
+                    const text = player[role] || '';
+                    this.applyTextSettings(partName, textObject, { ...textObject.textSettings, text });
+                    textObject.visible = text !== '';
+                });
+
+                fabricCanvas.renderAll();
+                this.updateTexture(partName);
+                await callback(player, index);
+            }
+        } finally {
+            saved.forEach(({ textObject, state, visible }) => {
+                this.applyTextSettings(partName, textObject, state.settings, { fit: false });
+                textObject.set(state.transform);
+                textObject.baseScale = state.baseScale;
+                textObject.visible = visible;
+                textObject.setCoords();
+            });
+            created.forEach(textObject => fabricCanvas.remove(textObject));
+            fabricCanvas.renderAll();
+            this.updateTexture(partName);
+        }
+    }
+
+    /**
+     * Change the text, font, colors or arc of a text layer and record it in the undo history
+     * Typing into the same layer is merged into one history step
+     * @param {string} partName - Part the text layer is on
+     * @param {fabric.Text} textObject - The text layer
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<void>}
+     */
+    async updateTextLayer(partName, textObject, changes) {
+        const before = this.getTextLayerState(textObject);
+        const settings = { ...textObject.textSettings, ...changes };
+        await this.loadTextFont(settings.fontFamily);
+
+        this.applyTextSettings(partName, textObject, settings);
+        this.partCanvases[partName].renderAll();
+        this.updateTexture(partName);
+        const after = this.getTextLayerState(textObject);
+
+        this.history.push({
+            label: `Edit ${settings.role === 'number' ? 'number' : 'name'}`,
+            coalesceKey: 'text-edit',
+            target: textObject,
+            undo: () => this.setTextLayerState(partName, textObject, before),
+            redo: () => this.setTextLayerState(partName, textObject, after)
+        });
+    }
+
+    // Wait for a font and drop Fabric's cached glyph widths that were measured with its fallback
+    async loadTextFont(fontFamily) {
+        await ensureFontReady(fontFamily);
+        fabric.util.clearFabricFontCache(fontFamily);
+
+        // Font files are embedded as @font-face when the artwork is exported as SVG
+        const fontURL = getFontURL(fontFamily);
+        if (fontURL) {
+            fabric.fontPaths[fontFamily] = fontURL;
+        }
+    }
+
+    /**
+     * Apply text settings to a text layer (the font must be loaded, see loadTextFont())
+     * @param {string} partName - Part the text layer is on (its bounding box is used by auto-fit)
+     * @param {fabric.Text} textObject - The text layer
+     * @param {Object} settings - Complete text settings
+     * @param {Object} [options]
+     * @param {boolean} [options.fit=true] - Auto-fit when the settings ask for it
+     */
+    applyTextSettings(partName, textObject, settings, { fit = true } = {}) {
+        const text = settings.text || ' ';
+        const style = {
+            fontFamily: settings.fontFamily,
+            fontSize: TEXT_FONT_SIZE,
+            fill: settings.fill,
+            stroke: settings.strokeWidth > 0 ? settings.stroke : null,
+            strokeWidth: settings.strokeWidth,
+            paintFirst: 'stroke', // The outline grows outwards instead of covering the letters
+            strokeLineJoin: 'round',
+            textAlign: 'center'
+        };
+
+        // The arc is as long as the straight text, so measure that first
+        let path = null;
+        if (settings.arc > 0) {
+            const straightWidth = new fabric.Text(text, style).width;
+            path = new fabric.Path(createArcPathData(straightWidth, settings.arc), { visible: false });
+        }
+
+        textObject.set({ ...style, text, path });
+        if (path) {
+            textObject.setPathInfo();
+        }
+        textObject.textSettings = { ...settings };
+        textObject.initDimensions();
+        textObject.dirty = true;
+        textObject.setCoords();
+
+        if (fit && settings.autoFit) {
+            this.fitTextToPart(partName, textObject);
+        }
+    }
+
+    // Scale a text layer to fit its part's bounding box: 80% of the width and a share of the height
+    // (names get a band, numbers most of the box); the fitted size is the scale slider's 100%
+    fitTextToPart(partName, textObject) {
+        const fabricCanvas = this.partCanvases[partName];
+        const bbox = this.partBoundingBoxes[partName] || this.partBoundingBoxes['front'];
+        const heightShare = textObject.textSettings.role === 'number' ? 0.45 : 0.15;
+
+        const maxWidth = fabricCanvas.width * bbox.width * 0.8;
+        const maxHeight = fabricCanvas.height * bbox.height * heightShare;
+        const scale = Math.min(maxWidth / textObject.width, maxHeight / textObject.height);
+
+        textObject.set({ scaleX: scale, scaleY: scale });
+        textObject.baseScale = scale;
+        textObject.setCoords();
+    }
+
+    // Settings and transform of a text layer (undo history snapshots)
+    getTextLayerState(textObject) {
+        return {
+            settings: { ...textObject.textSettings },
+            transform: this.getLogoTransform(textObject),
+            baseScale: textObject.baseScale
+        };
+    }
+
+    setTextLayerState(partName, textObject, state) {
+        this.applyTextSettings(partName, textObject, state.settings, { fit: false });
+        textObject.baseScale = state.baseScale;
+        this.setLogoTransform(partName, textObject, state.transform);
+    }
+
+    /**
+     * List the text layers on all parts, in canvas stacking order
+     * @returns {Array<{partName: string, textObject: fabric.Text, isActive: boolean}>}
+     */
+    getTextLayers() {
+        const layers = [];
+        Object.entries(this.partCanvases).forEach(([partName, fabricCanvas]) => {
+            const activeObject = fabricCanvas.getActiveObject();
+            fabricCanvas.getObjects()
+                .filter(obj => obj.name === 'textLayer')
+                .forEach(textObject => layers.push({ partName, textObject, isActive: textObject === activeObject }));
+        });
+        return layers;
+    }
+
+    // Delete a text layer (e.g. from the text list); can be undone
+    removeTextLayer(partName, textObject) {
+        const index = this.partCanvases[partName].getObjects().indexOf(textObject);
+        if (index === -1) return;
+
+        this.detachLogo(partName, textObject);
+        this.recordLogoRemoved(partName, textObject, index, this.getOverlayLabel(textObject, 'Delete'));
+    }
+
+    /**
+     * Get the text layers of all parts for a saved configuration
+     * @returns {{texts: Object, fonts: Object}} { partName: [text config] } and the loaded font
+     *   files the texts use ({ family: data URL })
+     */
+    getTextLayersConfiguration() {
+        const texts = {};
+        const fonts = {};
+
+        this.getTextLayers().forEach(({ partName, textObject }) => {
+            const fontURL = getFontURL(textObject.textSettings.fontFamily);
+            if (fontURL) {
+                fonts[textObject.textSettings.fontFamily] = fontURL;
+            }
+
+            (texts[partName] = texts[partName] || []).push({
+                ...textObject.textSettings,
+                ...this.getLogoTransform(textObject),
+                baseScale: textObject.baseScale || null
+            });
+        });
+
+        return { texts, fonts };
+    }
+
+    /**
+     * Place the text layers of a saved configuration (position and scale as saved, no auto-fit)
+     * @param {Object} texts - { partName: [text config] }
+     * @param {Object} [fonts] - { family: font file URL } needed by the texts
+     * @returns {Promise<void>}
+     */
+    async restoreTextLayers(texts, fonts = {}) {
+        const fontLoads = Object.entries(fonts).map(([family, url]) =>
+            registerFont(family, url).catch(error => console.warn(`Could not load font "${family}":`, error)));
+        await Promise.all(fontLoads);
+
+        for (const [partName, partTexts] of Object.entries(texts || {})) {
+            const fabricCanvas = this.partCanvases[partName];
+            if (!fabricCanvas) continue;
+
+            for (const textConfig of partTexts) {
+                const { left, top, scaleX, scaleY, angle, baseScale, ...settings } = textConfig;
+                const textSettings = { ...DEFAULT_TEXT_SETTINGS, ...settings };
+                await this.loadTextFont(textSettings.fontFamily);
+
+                const textObject = new fabric.Text(textSettings.text || ' ', {
+                    originX: 'center',
+                    originY: 'center',
+                    name: 'textLayer'
+                });
+                this.setupOverlayControls(textObject);
+                this.applyTextSettings(partName, textObject, textSettings, { fit: false });
+                textObject.set({ left, top, scaleX, scaleY, angle: angle || 0 });
+                textObject.baseScale = baseScale || scaleX;
+                textObject.setCoords();
+                fabricCanvas.add(textObject);
+            }
+
+            fabricCanvas.renderAll();
+            this.updateTexture(partName);
+        }
+    }
+
+    // Render delete icon (red circle with white X)
+    renderDeleteIcon(ctx, left, top, styleOverride, fabricObject) {
+        const size = 72;
+
+        ctx.save();
+        ctx.translate(left, top);
+
+        // Draw the delete icon image if loaded
+        if (this.deleteIcon && this.deleteIcon.complete) {
+            ctx.drawImage(this.deleteIcon, -size / 2, -size / 2, size, size);
+        } else {
+            // Fallback: Draw red circle with white X if image not loaded
+            ctx.beginPath();
+            ctx.arc(0, 0, size / 2, 0, 2 * Math.PI);
+            ctx.fillStyle = '#ff4444';
+            ctx.fill();
+
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            const offset = size / 4;
+            ctx.beginPath();
+            ctx.moveTo(-offset, -offset);
+            ctx.lineTo(offset, offset);
+            ctx.moveTo(offset, -offset);
+            ctx.lineTo(-offset, offset);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    // Render clone icon (using copy.svg)
+    renderCloneIcon(ctx, left, top, styleOverride, fabricObject) {
+        const size = 72;
+
+        ctx.save();
+        ctx.translate(left, top);
+
+        // Draw the copy icon image if loaded
+        if (this.copyIcon && this.copyIcon.complete) {
+            ctx.drawImage(this.copyIcon, -size / 2, -size / 2, size, size);
+        } else {
+            // Fallback: Draw green circle with white + if image not loaded
+            ctx.beginPath();
+            ctx.arc(0, 0, size / 2, 0, 2 * Math.PI);
+            ctx.fillStyle = '#44cc44';
+            ctx.fill();
+
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            const offset = size / 4;
+            ctx.beginPath();
+            ctx.moveTo(-offset, 0);
+            ctx.lineTo(offset, 0);
+            ctx.moveTo(0, -offset);
+            ctx.lineTo(0, offset);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    // Setup UI controls for logo scale and rotation
+    setupLogoControls() {
+        const scaleSlider = document.getElementById('logo-scale');
+        const rotateSlider = document.getElementById('logo-rotate');
+
+        if (!scaleSlider || !rotateSlider) {
+            console.warn('Logo controls not found');
+            return;
+        }
+
+        // Remove existing event listeners to avoid duplicates
+        const newScaleSlider = scaleSlider.cloneNode(true);
+        const newRotateSlider = rotateSlider.cloneNode(true);
+        scaleSlider.parentNode.replaceChild(newScaleSlider, scaleSlider);
+        rotateSlider.parentNode.replaceChild(newRotateSlider, rotateSlider);
+
+        // Scale control - works with active object
+        newScaleSlider.addEventListener('input', (e) => {
+            // Find the canvas with an active object
+            let activeObject = null;
+            let activeCanvas = null;
+
+            for (const [partName, fabricCanvas] of Object.entries(this.partCanvases)) {
+                const obj = fabricCanvas.getActiveObject();
+
+                // Check if it's a logo - either has correct name OR is a selectable image with custom controls
+                if (obj && (obj.type === 'image' || obj.name === 'textLayer')) {
+                    const hasLogoName = obj.name === 'logoLayer' || obj.name === 'textLayer';
+                    const hasCustomControls = obj.controls && (obj.controls.deleteControl || obj.controls.cloneControl);
+
+                    if (hasLogoName || hasCustomControls) {
+                        activeObject = obj;
+                        activeCanvas = fabricCanvas;
+                        break;
+                    }
+                }
+            }
+
+            if (!activeObject || !activeCanvas) {
+                debugLog('No logo selected - scale slider has no effect');
+                return;
+            }
+
+            const scaleMultiplier = parseFloat(e.target.value);
+
+            // Calculate base scale from current object if not stored
+            if (!activeObject.baseScale) {
+                activeObject.baseScale = activeObject.scaleX;
+            }
+
+            const newScale = activeObject.baseScale * scaleMultiplier;
+            const before = this.getLogoTransform(activeObject);
+
+            activeObject.set({
+                scaleX: newScale,
+                scaleY: newScale
+            });
+
+            activeCanvas.renderAll();
+
+            // Update texture for the part where the logo is
+            const partName = this.getCanvasPartName(activeCanvas);
+            if (partName) {
+                this.updateTexture(partName);
+                this.recordLogoTransform(partName, activeObject, before, this.getOverlayLabel(activeObject, 'Scale'), 'logo-scale');
+            }
+        });
+
+        // Rotation control - works with active object
+        newRotateSlider.addEventListener('input', (e) => {
             // Find the canvas with an active object
             let activeObject = null;
             let activeCanvas = null;
@@ -1940,8 +3287,8 @@ class JerseyViewer {
                 debugLog(`  Checking ${partName}: activeObject =`, obj ? `type=${obj.type}, name=${obj.name}` : 'null');
 
                 // Check if it's a logo - either has correct name OR is a selectable image with custom controls
-                if (obj && obj.type === 'image') {
-                    const hasLogoName = obj.name === 'logoLayer';
+                if (obj && (obj.type === 'image' || obj.name === 'textLayer')) {
+                    const hasLogoName = obj.name === 'logoLayer' || obj.name === 'textLayer';
                     const hasCustomControls = obj.controls && (obj.controls.deleteControl || obj.controls.cloneControl);
 
                     if (hasLogoName || hasCustomControls) {
@@ -1959,16 +3306,16 @@ class JerseyViewer {
             }
 
             const angle = parseFloat(e.target.value);
+            const before = this.getLogoTransform(activeObject);
             activeObject.set({ angle: angle });
 
             activeCanvas.renderAll();
 
             // Update texture for the part where the logo is
-            const partName = Object.keys(this.partCanvases).find(
-                key => this.partCanvases[key] === activeCanvas
-            );
+            const partName = this.getCanvasPartName(activeCanvas);
             if (partName) {
                 this.updateTexture(partName);
+                this.recordLogoTransform(partName, activeObject, before, this.getOverlayLabel(activeObject, 'Rotate'), 'logo-rotate');
             }
         });
 
@@ -1977,7 +3324,7 @@ class JerseyViewer {
 
     // Update logo sliders when a logo is selected
     updateLogoSliders(selectedObject) {
-        if (!selectedObject || selectedObject.type !== 'image' || selectedObject.name !== 'logoLayer') {
+        if (!this.isOverlayObject(selectedObject)) {
             return;
         }
 
@@ -2013,47 +3360,71 @@ class JerseyViewer {
         }
     }
 
-    // Load initial configuration from saved data
+    /**
+     * Load a saved configuration onto the canvases
+     * Versioned session configs (see session-config.js) replace the stripes, colors, logos
+     * and camera pose; the unversioned format only adds its colors and logos
+     * @param {Object} config - Saved configuration
+     * @returns {Promise<void>} Resolves once all logos and text layers have been placed
+     */
     loadInitialConfig(config) {
         if (!config) {
             debugLog('No configuration to load, using defaults');
-            return;
+            return Promise.resolve();
         }
 
         debugLog('Loading initial configuration:', config);
 
-        if (config.activeTab === 'designs' && config.design) {
+        if (config.version) {
+            // Opening a session replaces what is on the canvases (and starts a new history)
+            this.history.clear();
+            Object.values(this.partCanvases).forEach(fabricCanvas => {
+                fabricCanvas.getObjects()
+                    .filter(obj => this.isOverlayObject(obj))
+                    .forEach(logo => fabricCanvas.remove(logo));
+            });
+            this.clearLogoSelection();
+
+            // Only migrated legacy configs reference the SVG directly
+            if (config.design?.svgPath) {
+                this.loadSVGDesign(config.design.svgPath).catch(error => {
+                    console.error('Error loading SVG design from config:', error);
+                });
+            }
+
+            this.setDesignColors(config.designColors).catch(error => {
+                console.error('Error applying design colors from config:', error);
+            });
+            this.applyPartColors(config.parts, { resetMissing: true });
+            this.applyStripeConfiguration(config.parts, config.stripeOrientation);
+
+            if (config.camera) {
+                this.setCameraPose(config.camera);
+            }
+        } else if (config.activeTab === 'designs' && config.design) {
             // Load design mode configuration
             if (config.design.svgPath) {
                 debugLog(`Loading SVG design: ${config.design.svgPath}`);
-                this.loadSVGDesign(config.design.svgPath);
+                this.loadSVGDesign(config.design.svgPath).catch(error => {
+                    console.error('Error loading SVG design from config:', error);
+                });
             }
 
             // Apply design colors (color pickers are already set by script.js)
             // The SVG design will use these colors if it supports color replacement
         } else if (config.activeTab === 'colors') {
             // Load colors & stripes mode configuration
-            if (config.parts) {
-                // Apply part colors to the 3D model
-                Object.entries(config.parts).forEach(([partName, partConfig]) => {
-                    if (partConfig.color) {
-                        debugLog(`Applying color ${partConfig.color} to part: ${partName}`);
-                        // Apply color to the Fabric canvas for this part
-                        const fabricCanvas = this.partCanvases[partName];
-                        if (fabricCanvas) {
-                            fabricCanvas.backgroundColor = partConfig.color;
-                            fabricCanvas.renderAll();
-                            this.updateTexture(partName);
-                        }
-                    }
-                });
-            }
+            this.applyPartColors(config.parts);
 
             // Stripe configurations will be handled by the UI
             // The 3D model will reflect changes as the user interacts with controls
         }
 
+        // Positions and scales are in canvas pixels of the resolution the config was saved at
+        const overlayScale = this.textureResolution / (config.textureSize || DEFAULT_TEXTURE_RESOLUTION);
+
         // Load logos if present
+        const logoLoads = [];
         if (config.logos) {
             Object.entries(config.logos).forEach(([partName, logos]) => {
                 if (logos && logos.length > 0) {
@@ -2062,24 +3433,133 @@ class JerseyViewer {
                             debugLog(`Loading logo for ${partName}:`, logoConfig);
 
                             // Load logo with saved configuration (position, scale, rotation)
-                            this.readLogoWithConfig(logoConfig.url, logoConfig, partName);
+                            logoLoads.push(this.readLogoWithConfig(logoConfig.url,
+                                scaleOverlayConfig(logoConfig, overlayScale), partName));
                         }
                     });
                 }
             }); // Close forEach
         } // Close if (config.logos)
 
-        debugLog('✅ Initial configuration loaded');
+        // Text layers (only in versioned configs)
+        if (config.version && config.texts) {
+            const texts = Object.fromEntries(Object.entries(config.texts).map(([partName, partTexts]) =>
+                [partName, partTexts.map(textConfig => scaleOverlayConfig(textConfig, overlayScale))]));
+            logoLoads.push(this.restoreTextLayers(texts, config.fonts));
+        }
+
+        return Promise.allSettled(logoLoads).then(results => {
+            const failed = results.filter(result => result.status === 'rejected');
+            if (failed.length > 0) {
+                console.warn(`⚠️ ${failed.length} logo(s) or text layer group(s) from the configuration could not be loaded`);
+            }
+            debugLog('✅ Initial configuration loaded');
+        });
     } // Close loadInitialConfig method
 
-    // Get all logos configuration from all parts
-    getLogosConfiguration() {
-        const logosConfig = {
-            front: [],
-            back: [],
-            'right-sleeve': [],
-            'left-sleeve': []
+    // Apply saved part colors ({ partName: { color } }) as part base colors (see updateColor())
+    applyPartColors(parts, { resetMissing = false } = {}) {
+        if (!parts) return;
+
+        Object.entries(parts).forEach(([partName, partConfig]) => {
+            if (partConfig.color || resetMissing) {
+                debugLog(`Applying color ${partConfig.color} to part: ${partName}`);
+                this.updateColor(partName, partConfig.color || null).catch(error => {
+                    console.error(`Error applying color to ${partName}:`, error);
+                });
+            }
+        });
+    }
+
+    /**
+     * Replace the stripe configuration of every part and redraw the stripe layers
+     * @param {Object} parts - { partName: { stripes: { tab1..tab4 }, activeStripeTabs: [tabId] } }
+     * @param {string} [orientation] - 'horizontal' or 'vertical'
+     */
+    applyStripeConfiguration(parts, orientation) {
+        if (orientation) {
+            this.stripeOrientation = orientation;
+            const radio = document.querySelector(`input[name="jersey-orientation"][value="${orientation}"]`);
+            if (radio) radio.checked = true;
+        }
+
+        Object.entries(parts || {}).forEach(([partName, partConfig]) => {
+            if (!partConfig.stripes || !this.stripeLayersByPart[partName]) return;
+
+            ['tab1', 'tab2', 'tab3', 'tab4'].forEach(tabId => {
+                if (partConfig.stripes[tabId]) {
+                    this.stripeLayersByPart[partName][tabId] = { ...partConfig.stripes[tabId] };
+                }
+            });
+
+            const fabricCanvas = this.partCanvases[partName];
+            if (!fabricCanvas) return;
+
+            // Only the layers that were drawn when the session was saved are drawn again
+            const activeTabs = partConfig.activeStripeTabs || [];
+            ['tab1', 'tab2', 'tab3', 'tab4'].forEach(tabId => {
+                if (activeTabs.includes(tabId)) {
+                    this.generateStripesForCanvas(fabricCanvas, partName, tabId);
+                } else {
+                    this.clearStripesLayer(fabricCanvas, `stripeLayer${tabId.replace('tab', '')}`);
+                }
+            });
+
+            fabricCanvas.renderAll();
+            this.updateTexture(partName);
+        });
+
+        if (this.isPrimary) {
+            this.updateStripeUIForCurrentPart();
+        }
+    }
+
+    /**
+     * Get the canvas state of the session: part colors, design color remapping, stripes, logos
+     * (with embedded image data), text layers (with the font files they use), camera pose and
+     * the texture resolution positions are measured in
+     * @returns {Object} Viewer part of a session config (see session-config.js)
+     */
+    getConfiguration() {
+        const parts = {};
+        Object.keys(this.stripeLayersByPart).forEach(partName => {
+            const fabricCanvas = this.partCanvases[partName];
+            const activeStripeTabs = fabricCanvas
+                ? ['tab1', 'tab2', 'tab3', 'tab4'].filter(tabId =>
+                    fabricCanvas.getObjects().some(obj => obj.name === `stripeLayer${tabId.replace('tab', '')}`))
+                : [];
+
+            parts[partName] = {
+                color: this.partBaseColors[partName] || null,
+                stripes: JSON.parse(JSON.stringify(this.stripeLayersByPart[partName])),
+                activeStripeTabs
+            };
+        });
+
+        const { texts, fonts } = this.getTextLayersConfiguration();
+
+        return {
+            parts,
+            designColors: { ...this.designColorMap },
+            stripeOrientation: this.stripeOrientation,
+            logos: this.getLogosConfiguration({ embedImages: true }),
+            texts,
+            fonts,
+            camera: this.getCameraPose(),
+            textureSize: this.textureResolution // Logo and text positions are in pixels of this size
         };
+    }
+
+    /**
+     * Get all logos configuration from all parts
+     * @param {Object} [options]
+     * @param {boolean} [options.embedImages=false] - Store the images as data URLs instead of their
+     *   source URL (needed for anything that outlives the page, like saved sessions)
+     * @returns {Object} { partName: [logoConfig] } with an entry for every part
+     */
+    getLogosConfiguration(options = {}) {
+        const { embedImages = false } = options;
+        const logosConfig = {};
 
         // Iterate through all part canvases
         Object.keys(this.partCanvases).forEach(partName => {
@@ -2099,7 +3579,8 @@ class JerseyViewer {
                 const hasCustomControls = obj.controls && (obj.controls.deleteControl || obj.controls.cloneControl);
 
                 // Exclude design images (they're centered at canvas center with scale 1)
-                const isCentered = obj.left === 1024 && obj.top === 1024 && obj.scaleX === 1 && obj.scaleY === 1;
+                const isCentered = obj.left === fabricCanvas.width / 2 && obj.top === fabricCanvas.height / 2 &&
+                    obj.scaleX === 1 && obj.scaleY === 1;
 
                 // Accept if it has the correct name OR if it's BOTH selectable AND has custom controls
                 // (SVG designs are not selectable, so this excludes them)
@@ -2111,14 +3592,19 @@ class JerseyViewer {
 
             // Store logo data for this part
             logosConfig[partName] = logos.map(logo => ({
-                url: logo.getSrc(), // Get the image source URL
+                // Get the image source URL
+                url: embedImages && !logo.getSrc().startsWith('data:')
+                    ? (logo.embeddedSrc ||= imageToDataURL(logo.getOriginalElement()))
+                    : logo.getSrc(),
                 left: logo.left,
                 top: logo.top,
                 scaleX: logo.scaleX,
                 scaleY: logo.scaleY,
                 angle: logo.angle || 0,
                 originX: logo.originX,
-                originY: logo.originY
+                originY: logo.originY,
+                baseScale: logo.baseScale || null,
+                label: logo.logoLabel || null
             }));
         });
 
@@ -2126,146 +3612,485 @@ class JerseyViewer {
     }
 
 
-    loadModel(modelPath) {
+    /**
+     * Load a GLB model and apply the part textures to it
+     * @param {string} modelPath - URL of the GLB file
+     * @param {Object} [options]
+     * @param {string} [options.collar] - Collar type of the variation being loaded
+     * @param {string} [options.shoulder] - Shoulder type; switches the active bounding boxes
+     * @param {Function} [options.onProgress] - Called with a 0-1 fraction while the GLB downloads
+     *   (null when the server does not report a content length)
+     * @returns {Promise<THREE.Object3D>} Resolves once the model has been added to the scene
+     */
+    loadModel(modelPath, options = {}) {
+        const { collar, shoulder, onProgress } = options;
+
         // Remove existing model if any
-        if (this.current3DObject) {
-            this.scene.remove(this.current3DObject);
-            this.current3DObject = null;
-        }
+        this.unloadModel();
+
+        // Only the most recent request may add its model to the scene
+        const loadId = ++this.modelLoadId;
+
+        return new Promise((resolve, reject) => {
+            this.modelCache.load(
+                modelPath,
+                (progress) => {
+                    const fraction = progress.total ? progress.loaded / progress.total : null;
+                    debugLog('Loading progress:', fraction === null ? `${progress.loaded} bytes` : (fraction * 100) + '%');
+                    if (onProgress) {
+                        onProgress(fraction);
+                    }
+                }
+            ).then(
+                (gltf) => {
+                    if (loadId !== this.modelLoadId) {
+                        debugLog(`⏭️ Discarding stale model: ${modelPath}`);
+                        reject(new Error(`Model load superseded: ${modelPath}`));
+                        return;
+                    }
 
-        // Load GLB model
-        this.gltfLoader.load(
-            modelPath,
-            (gltf) => {
-                this.current3DObject = gltf.scene;
+                    // The cached scene is shared with later visits of this variation: show a clone
+                    // (geometries and the GLB's textures stay shared, materials are cloned below)
+                    this.modelCache.acquire(modelPath);
+                    this.currentModelPath = modelPath;
+                    this.current3DObject = gltf.scene.clone();
 
-                let meshCount = 0;
-                let texturedMeshCount = 0;
+                    let meshCount = 0;
+                    let texturedMeshCount = 0;
 
-                // First pass: Log all materials found in the model
-                debugLog('🔍 === MATERIAL DISCOVERY ===');
-                const foundMaterials = new Set();
-                this.current3DObject.traverse((child) => {
-                    if (child.isMesh && child.material) {
-                        const matName = child.material.name || 'unnamed';
-                        foundMaterials.add(matName);
-                    }
-                });
-                debugLog('📋 All materials in model:', Array.from(foundMaterials));
-                debugLog('🗺️ Current material mapping:', this.materialToPartMap);
-                debugLog('🔍 === END MATERIAL DISCOVERY ===\n');
-
-                // Apply texture to all meshes in the model while preserving AO and normal maps
-                this.current3DObject.traverse((child) => {
-                    if (child.isMesh) {
-                        meshCount++;
-
-                        // Skip stitch materials - they should keep their original appearance
-                        if (this.shouldExcludeMaterial(child.material)) {
-                            debugLog(`⏭️ Skipping material: "${child.material.name}" (stitch material)`);
-                            return; // Skip this mesh
+                    // First pass: Log all materials found in the model
+                    debugLog('🔍 === MATERIAL DISCOVERY ===');
+                    const foundMaterials = new Set();
+                    this.current3DObject.traverse((child) => {
+                        if (child.isMesh && child.material) {
+                            const matName = child.material.name || 'unnamed';
+                            foundMaterials.add(matName);
                         }
+                    });
+                    debugLog('📋 All materials in model:', Array.from(foundMaterials));
+                    debugLog('🗺️ Current material mapping:', this.materialToPartMap);
+                    debugLog('🔍 === END MATERIAL DISCOVERY ===\n');
 
-                        // Get the material name and find corresponding part
-                        const materialName = child.material?.name || '';
-                        const partName = this.materialToPartMap[materialName];
+                    // Apply texture to all meshes in the model while preserving AO and normal maps
+                    this.current3DObject.traverse((child) => {
+                        if (child.isMesh) {
+                            meshCount++;
 
-                        if (!partName) {
-                            console.warn(`⚠️ No part mapping for material: "${materialName}" - This material will not receive textures!`);
-                            return;
-                        }
+                            // Skip stitch materials - they should keep their original appearance
+                            if (this.shouldExcludeMaterial(child.material)) {
+                                debugLog(`⏭️ Skipping material: "${child.material.name}" (stitch material)`);
+                                return; // Skip this mesh
+                            }
 
-                        // Get the texture for this part
-                        const partTexture = this.partTextures[partName];
-                        if (!partTexture) {
-                            console.warn(`⚠️ No texture found for part: "${partName}"`);
-                            return;
-                        }
+                            // Get the material name and find corresponding part
+                            const materialName = child.material?.name || '';
+                            const partName = this.materialToPartMap[materialName];
 
-                        // Log UV coordinates for debugging
-                        if (child.geometry.attributes.uv) {
-                            const uvs = child.geometry.attributes.uv;
-                            debugLog(`🔍 Mesh "${child.name}" (${materialName}) UV range:`, {
-                                count: uvs.count,
-                                itemSize: uvs.itemSize
-                            });
-                        } else {
-                            console.warn(`⚠️ Mesh "${child.name}" has NO UV mapping!`);
-                        }
+                            if (!partName) {
+                                console.warn(`⚠️ No part mapping for material: "${materialName}" - This material will not receive textures!`);
+                                return;
+                            }
 
-                        // Preserve the original material properties (AO, normal maps, etc.)
-                        const originalMaterial = child.material;
+                            // Get the texture for this part
+                            const partTexture = this.partTextures[partName];
+                            if (!partTexture) {
+                                console.warn(`⚠️ No texture found for part: "${partName}"`);
+                                return;
+                            }
 
-                        // Clone the material to avoid modifying the original
-                        if (originalMaterial.isMeshStandardMaterial || originalMaterial.isMeshPhysicalMaterial) {
-                            child.material = originalMaterial.clone();
+                            // Log UV coordinates for debugging
+                            if (child.geometry.attributes.uv) {
+                                const uvs = child.geometry.attributes.uv;
+                                debugLog(`🔍 Mesh "${child.name}" (${materialName}) UV range:`, {
+                                    count: uvs.count,
+                                    itemSize: uvs.itemSize
+                                });
+                            } else {
+                                console.warn(`⚠️ Mesh "${child.name}" has NO UV mapping!`);
+                            }
 
-                            // Apply the part-specific texture while preserving other maps
-                            child.material.map = partTexture;
+                            // Preserve the original material properties (AO, normal maps, etc.)
+                            const originalMaterial = child.material;
 
-                            // Log what maps are present
-                            debugLog(`📦 Mesh "${child.name}" (${materialName} → ${partName}) maps:`, {
-                                hasAO: !!child.material.aoMap,
-                                hasNormal: !!child.material.normalMap,
-                                hasRoughness: !!child.material.roughnessMap,
-                                hasMetalness: !!child.material.metalnessMap
-                            });
-                        } else {
-                            // Fallback: create new material if original is not PBR
-                            child.material = new THREE.MeshStandardMaterial({
-                                map: this.texture,
-                                roughness: 0.5,
-                                metalness: 0.1,
-                                side: THREE.DoubleSide
-                            });
-                        }
+                            // Clone the material to avoid modifying the original
+                            if (originalMaterial.isMeshStandardMaterial || originalMaterial.isMeshPhysicalMaterial) {
+                                child.material = this.modelResources.track(originalMaterial.clone(), { textures: false });
+
+                                // Apply the part-specific texture while preserving other maps
+                                child.material.map = partTexture;
+
+                                // Log what maps are present
+                                debugLog(`📦 Mesh "${child.name}" (${materialName} → ${partName}) maps:`, {
+                                    hasAO: !!child.material.aoMap,
+                                    hasNormal: !!child.material.normalMap,
+                                    hasRoughness: !!child.material.roughnessMap,
+                                    hasMetalness: !!child.material.metalnessMap
+                                });
+                            } else {
+                                // Fallback: create new material if original is not PBR
+                                child.material = this.modelResources.track(new THREE.MeshStandardMaterial({
+                                    map: this.texture,
+                                    roughness: 0.5,
+                                    metalness: 0.1,
+                                    side: THREE.DoubleSide
+                                }), { textures: false });
+                            }
 
-                        // Apply texture filtering and wrapping for crisp rendering
-                        if (child.material.map) {
-                            child.material.map.magFilter = THREE.LinearFilter;
-                            child.material.map.minFilter = THREE.LinearMipmapLinearFilter;
+                            // Apply texture filtering and wrapping for crisp rendering
+                            if (child.material.map) {
+                                child.material.map.magFilter = THREE.LinearFilter;
+                                child.material.map.minFilter = THREE.LinearMipmapLinearFilter;
 
-                            // Enable texture wrapping (important for UV mapping)
-                            child.material.map.wrapS = THREE.RepeatWrapping;
-                            child.material.map.wrapT = THREE.RepeatWrapping;
+                                // Enable texture wrapping (important for UV mapping)
+                                child.material.map.wrapS = THREE.RepeatWrapping;
+                                child.material.map.wrapT = THREE.RepeatWrapping;
 
-                            // Force texture update
-                            child.material.map.needsUpdate = true;
-                            child.material.needsUpdate = true;
+                                // Force texture update
+                                child.material.map.needsUpdate = true;
+                                child.material.needsUpdate = true;
+
+                                texturedMeshCount++;
+                            }
 
-                            texturedMeshCount++;
+                            // Ensure material updates
+                            child.material.needsUpdate = true;
                         }
+                    });
 
-                        // Ensure material updates
-                        child.material.needsUpdate = true;
+                    debugLog(`✅ Model loaded: ${meshCount} meshes found, ${texturedMeshCount} textured`);
+
+                    // Scale and position the model appropriately
+                    const box = new THREE.Box3().setFromObject(this.current3DObject);
+                    const center = box.getCenter(new THREE.Vector3());
+                    const size = box.getSize(new THREE.Vector3());
+
+                    // Scale to fit in view (target size of 4 units)
+                    const maxDim = Math.max(size.x, size.y, size.z);
+                    const scale = 2 / maxDim;
+                    this.current3DObject.scale.setScalar(scale);
+
+                    // Center the model
+                    this.current3DObject.position.sub(center.multiplyScalar(scale));
+
+                    this.scene.add(this.current3DObject);
+                    debugLog('📦 Model positioned and added to scene');
+
+                    // Stripes and logos follow the bounding boxes of the new variation
+                    if (collar) {
+                        this.currentCollarType = collar;
                     }
-                });
+                    if (shoulder) {
+                        this.setShoulderType(shoulder);
+                    }
+                    this.applyCameraPreset(getCameraPreset(this.currentCollarType, this.currentShoulderType));
+
+                    resolve(this.current3DObject);
+                }
+            ).catch(
+                (error) => {
+                    console.error('Error loading model:', error);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Fetch and parse a GLB into the model cache without showing it
+     * Preloads only use free room: they never evict a model that is already cached
+     * @param {string} modelPath - URL of the GLB file
+     * @returns {Promise<boolean>} true once a loadModel() of it would not need the network, false
+     *   (without loading) if the cache is full
+     */
+    preloadModel(modelPath) {
+        if (this.getModelCacheState(modelPath) === 'none' && this.modelCache.freeSlots === 0) {
+            return Promise.resolve(false);
+        }
+        return this.modelCache.load(modelPath).then(() => true);
+    }
+
+    /**
+     * @param {string} modelPath - URL of the GLB file
+     * @returns {string} 'cached', 'loading' or 'none'
+     */
+    getModelCacheState(modelPath) {
+        if (this.modelCache.has(modelPath)) return 'cached';
+        return this.modelCache.isPending(modelPath) ? 'loading' : 'none';
+    }
+
+    /**
+     * Remove the shown model and free what was created for it
+     * The GLB itself stays in the model cache until it is evicted
+     */
+    unloadModel() {
+        if (this.current3DObject) {
+            this.scene.remove(this.current3DObject);
+            this.current3DObject = null;
+        }
+
+        this.modelResources.dispose();
+        if (this.currentModelPath) {
+            this.modelCache.release(this.currentModelPath);
+            this.currentModelPath = null;
+        }
+    }
+
+    /**
+     * Render the current camera view into a PNG image
+     * The size is clamped to what the GPU can render, keeping the aspect ratio
+     * @param {Object} [options]
+     * @param {number} [options.width] - Output width in pixels (defaults to the viewport width)
+     * @param {number} [options.height] - Output height in pixels (defaults to the viewport height)
+     * @param {boolean} [options.transparent=false] - Leave the background transparent
+     * @returns {Promise<Blob>} The PNG image
+     */
+    captureSnapshot(options = {}) {
+        const { transparent = false } = options;
+        let width = Math.round(options.width || this.container.clientWidth);
+        let height = Math.round(options.height || this.container.clientHeight);
+
+        const gl = this.renderer.getContext();
+        const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), maxViewport[0], maxViewport[1]);
+        if (width > maxSize || height > maxSize) {
+            const clampScale = maxSize / Math.max(width, height);
+            console.warn(`Snapshot ${width}x${height} exceeds GPU limit ${maxSize}px, scaling down`);
+            width = Math.floor(width * clampScale);
+            height = Math.floor(height * clampScale);
+        }
+
+        debugLog(`📸 Capturing snapshot ${width}x${height}${transparent ? ' (transparent)' : ''}`);
+
+        // Selection borders and controls must not end up in the image
+        this.clearLogoSelection();
+
+        // Save renderer and camera state
+        const previousPixelRatio = this.renderer.getPixelRatio();
+        const previousSize = this.renderer.getSize(new THREE.Vector2());
+        const previousAspect = this.camera.aspect;
+        const previousBackground = this.scene.background;
+
+        // Render once at the requested size (CSS size untouched so the page does not jump)
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        if (transparent) {
+            this.scene.background = null;
+        }
+        this.renderer.render(this.scene, this.camera);
+
+        return new Promise((resolve, reject) => {
+            // toBlob copies the drawing buffer synchronously, so state can be restored right after
+            this.renderer.domElement.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode snapshot'));
+                }
+            }, 'image/png');
+
+            this.scene.background = previousBackground;
+            this.camera.aspect = previousAspect;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setPixelRatio(previousPixelRatio);
+            this.renderer.setSize(previousSize.x, previousSize.y, false);
+            this.renderer.render(this.scene, this.camera);
+        });
+    }
+
+    /**
+     * Export the textured jersey as a binary glTF (GLB)
+     * Each part's Fabric canvas is embedded as a PNG base color texture; the model's own
+     * AO, normal and roughness maps are exported with the cloned materials
+     * @returns {Promise<Blob>} The GLB file
+     */
+    exportGLB() {
+        if (!this.current3DObject) {
+            return Promise.reject(new Error('No 3D object loaded yet'));
+        }
+
+        // Selection borders and controls must not be baked into the textures
+        this.clearLogoSelection();
+
+        const exporter = new GLTFExporter();
+        const startTime = performance.now();
+
+        return new Promise((resolve, reject) => {
+            exporter.parse(
+                this.current3DObject,
+                (result) => {
+                    debugLog(`📦 GLB exported in ${(performance.now() - startTime).toFixed(0)}ms (${(result.byteLength / 1048576).toFixed(2)} MB)`);
+                    resolve(new Blob([result], { type: 'model/gltf-binary' }));
+                },
+                (error) => {
+                    console.error('Error exporting GLB:', error);
+                    reject(error);
+                },
+                {
+                    binary: true,
+                    maxTextureSize: this.partCanvases['front'].width
+                }
+            );
+        });
+    }
+
+    /**
+     * Get the print crop region of a part in canvas pixels
+     * @param {string} partName - Part whose bounding box is used
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    getPartPrintRegion(partName) {
+        const fabricCanvas = this.partCanvases[partName];
+        const bbox = this.partBoundingBoxes[partName];
+        const left = Math.max(0, Math.floor(bbox.x * fabricCanvas.width));
+        const top = Math.max(0, Math.floor(bbox.y * fabricCanvas.height));
+
+        return {
+            left,
+            top,
+            width: Math.min(fabricCanvas.width - left, Math.ceil(bbox.width * fabricCanvas.width)),
+            height: Math.min(fabricCanvas.height - top, Math.ceil(bbox.height * fabricCanvas.height))
+        };
+    }
+
+    /**
+     * Run a print export with the vector SVG as base design instead of its raster copy
+     * The design is rasterized at texture size on load; drawing the SVG itself keeps upscaled
+     * print output sharp and lets the SVG export embed vector artwork
+     * @param {Function} callback - Export work, may return a Promise
+     * @returns {Promise<*>} The callback's result
+     */
+    async withVectorDesign(callback) {
+        const designImages = Object.entries(this.partCanvases)
+            .map(([partName, fabricCanvas]) => ({
+                partName,
+                img: fabricCanvas.getObjects().find(obj => obj.name === 'designLayer')
+            }))
+            .filter(({ img }) => img);
+
+        if (!this.designSVGText || designImages.length === 0) {
+            return callback();
+        }
 
-                debugLog(`✅ Model loaded: ${meshCount} meshes found, ${texturedMeshCount} textured`);
-
-                // Scale and position the model appropriately
-                const box = new THREE.Box3().setFromObject(this.current3DObject);
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-
-                // Scale to fit in view (target size of 4 units)
-                const maxDim = Math.max(size.x, size.y, size.z);
-                const scale = 2 / maxDim;
-                this.current3DObject.scale.setScalar(scale);
-
-                // Center the model
-                this.current3DObject.position.sub(center.multiplyScalar(scale));
-
-                this.scene.add(this.current3DObject);
-                debugLog('📦 Model positioned and added to scene');
-            },
-            (progress) => {
-                debugLog('Loading progress:', (progress.loaded / progress.total * 100) + '%');
-            },
-            (error) => {
-                console.error('Error loading model:', error);
+        // Each part is drawn with its own colors; parts with the same colors share an image
+        const svgImages = new Map();
+        for (const { partName } of designImages) {
+            const colorMap = this.getPartColorMap(partName);
+            const key = JSON.stringify(colorMap);
+            if (!svgImages.has(key)) {
+                const svgText = withIntrinsicSize(recolorSvg(this.designSVGText, colorMap),
+                    this.textureResolution, this.textureResolution);
+                svgImages.set(key, await new Promise((resolve, reject) => {
+                    const image = new Image();
+                    image.onload = () => resolve(image);
+                    image.onerror = () => reject(new Error('Could not load the SVG design for print export'));
+                    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+                }));
             }
-        );
+        }
+
+        const saved = designImages.map(({ partName, img }) => ({
+            img,
+            fabricCanvas: this.partCanvases[partName],
+            element: img.getElement(),
+            width: img.width,
+            height: img.height,
+            scaleX: img.scaleX,
+            scaleY: img.scaleY
+        }));
+
+        designImages.forEach(({ partName, img }) => {
+            img.setElement(svgImages.get(JSON.stringify(this.getPartColorMap(partName))));
+            img.set({
+                scaleX: img.canvas.width / img.width,
+                scaleY: img.canvas.height / img.height
+            });
+        });
+
+        try {
+            return await callback();
+        } finally {
+            saved.forEach(({ img, fabricCanvas, element, width, height, scaleX, scaleY }) => {
+                // Layers replaced by a design render meanwhile are gone, and so may be their bitmap
+                if (!fabricCanvas.getObjects().includes(img)) return;
+                img.setElement(element);
+                img.set({ width, height, scaleX, scaleY });
+                fabricCanvas.renderAll();
+            });
+        }
+    }
+
+    /**
+     * Render the composited artwork of a part (design, stripes, logos) cropped to its bounding box
+     * @param {string} partName - Part to export
+     * @param {number} [multiplier=1] - Upscale factor relative to the texture canvas
+     * @returns {Promise<Blob>} The PNG image
+     */
+    exportPartArtwork(partName, multiplier = 1) {
+        const fabricCanvas = this.partCanvases[partName];
+        if (!fabricCanvas) {
+            return Promise.reject(new Error(`Canvas not found for part: ${partName}`));
+        }
+
+        // Selection borders and delete/clone controls must not be printed
+        this.clearLogoSelection();
+
+        // Fabric's object cache is capped at a few megapixels, which would blur upscaled output
+        const objects = fabricCanvas.getObjects();
+        const caching = objects.map(obj => obj.objectCaching);
+        objects.forEach(obj => { obj.objectCaching = false; });
+
+        const region = this.getPartPrintRegion(partName);
+        let outputCanvas;
+        try {
+            outputCanvas = fabricCanvas.toCanvasElement(multiplier, region);
+        } finally {
+            objects.forEach((obj, i) => { obj.objectCaching = caching[i]; });
+        }
+        debugLog(`🖨️ Print artwork "${partName}" ${outputCanvas.width}x${outputCanvas.height}`);
+
+        return new Promise((resolve, reject) => {
+            outputCanvas.toBlob((blob) => {
+                // Release the (potentially huge) backing store right away
+                outputCanvas.width = outputCanvas.height = 0;
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode print artwork for ${partName}`));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Get the artwork of a part as an SVG document cropped to its bounding box
+     * @param {string} partName - Part to export
+     * @returns {string} SVG document (viewBox in texture canvas pixels)
+     */
+    getPartArtworkSVG(partName) {
+        const fabricCanvas = this.partCanvases[partName];
+        const region = this.getPartPrintRegion(partName);
+
+        this.clearLogoSelection();
+
+        // Uploaded logos use object URLs that only exist in this page, so inline them as data URLs
+        const inlined = fabricCanvas.getObjects().filter(obj => obj.type === 'image' && !(obj.getSrc() || '').startsWith('data:'));
+        inlined.forEach(img => {
+            const dataUrl = imageToDataURL(img.getOriginalElement());
+            img.getSvgSrc = () => dataUrl;
+        });
+
+        try {
+            return fabricCanvas.toSVG({
+                suppressPreamble: true,
+                width: region.width,
+                height: region.height,
+                viewBox: { x: region.left, y: region.top, width: region.width, height: region.height }
+            });
+        } finally {
+            inlined.forEach(img => delete img.getSvgSrc);
+        }
     }
 
     setupCameraReset() {
@@ -2354,10 +4179,56 @@ class JerseyViewer {
         this.controls.update();
     }
 
+    // Use the initial pose and part positions of a camera preset from the variation registry
+    // The current view is kept; the preset applies to the next reset or part animation
+    applyCameraPreset(preset) {
+        this.cameraPreset = preset;
+        this.initialCameraPosition.set(preset.position.x, preset.position.y, preset.position.z);
+        this.initialControlsTarget.set(preset.target.x, preset.target.y, preset.target.z);
+    }
+
+    // Current camera pose as plain numbers (for saving and restoring views)
+    getCameraPose() {
+        const { position } = this.camera;
+        const { target } = this.controls;
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            target: { x: target.x, y: target.y, z: target.z }
+        };
+    }
+
+    // Move the camera immediately (cancels any running camera animation)
+    setCameraPose(pose) {
+        this.isAnimatingCamera = false;
+        this.isAnimatingToPart = false;
+
+        this.camera.position.set(pose.position.x, pose.position.y, pose.position.z);
+        this.controls.target.set(pose.target.x, pose.target.y, pose.target.z);
+        this.controls.update();
+    }
+
+    // Jump to a part's preset camera position without animating (used for batch renders)
+    // Without a part name the preset's initial pose is used
+    setCameraToPart(partName = null) {
+        if (!partName) {
+            this.setCameraPose(this.cameraPreset);
+            return;
+        }
+
+        const position = this.cameraPreset.parts[partName];
+        if (!position) {
+            console.warn(`No camera position defined for part: ${partName}`);
+            return;
+        }
+
+        // Same target as animateCameraToPart(): the jersey center
+        this.setCameraPose({ position, target: { x: 0, y: 0, z: 0 } });
+    }
+
     // Animate camera to a specific part's position
     animateCameraToPart(partName) {
         // Check if we have a predefined position for this part
-        const targetPosition = CAMERA_POSITION_FOR_PART[partName];
+        const targetPosition = this.cameraPreset.parts[partName];
 
         if (!targetPosition) {
             console.warn(`No camera position defined for part: ${partName}`);
@@ -2389,6 +4260,9 @@ class JerseyViewer {
     animate() {
         this.animationId = requestAnimationFrame(() => this.animate());
 
+        // Skip all work while the viewer is hidden (e.g. compare view turned off)
+        if (this.isRenderingPaused) return;
+
         // Update camera animation if active
         this.updateCameraAnimation();
 
@@ -2402,50 +4276,179 @@ class JerseyViewer {
 
         // Render scene
         this.renderer.render(this.scene, this.camera);
+
+        // Follow the selected logo with the scale/rotate handles
+        if (this.logoGizmo) {
+            this.logoGizmo.update();
+        }
     }
 
     handleResize() {
-        window.addEventListener('resize', () => {
-            if (!this.container) return;
+        window.addEventListener('resize', () => this.resize());
+    }
 
-            const width = this.container.clientWidth;
-            const height = this.container.clientHeight;
+    // Match the renderer to the container size (call after the layout changes)
+    resize() {
+        if (!this.container) return;
 
-            this.camera.aspect = width / height;
-            this.camera.updateProjectionMatrix();
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (width === 0 || height === 0) return; // Hidden container
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        this.renderer.setSize(width, height);
+    }
+
+    // Pause or resume rendering (a paused viewer keeps its scene but draws nothing)
+    setRenderingPaused(paused) {
+        this.isRenderingPaused = paused;
+    }
+
+    // Keep two viewers' cameras in sync: orbiting either one moves the other
+    linkCamera(otherViewer) {
+        this.unlinkCamera();
+
+        this.linkedViewer = otherViewer;
+        otherViewer.linkedViewer = this;
+
+        this.cameraSyncListener = () => this.copyCameraTo(otherViewer);
+        otherViewer.cameraSyncListener = () => otherViewer.copyCameraTo(this);
+        this.controls.addEventListener('change', this.cameraSyncListener);
+        otherViewer.controls.addEventListener('change', otherViewer.cameraSyncListener);
+
+        // Start from this viewer's pose
+        this.copyCameraTo(otherViewer);
+        debugLog('🔗 Cameras linked');
+    }
+
+    unlinkCamera() {
+        const otherViewer = this.linkedViewer;
+        if (!otherViewer) return;
+
+        this.controls.removeEventListener('change', this.cameraSyncListener);
+        otherViewer.controls.removeEventListener('change', otherViewer.cameraSyncListener);
+        this.cameraSyncListener = null;
+        otherViewer.cameraSyncListener = null;
+        this.linkedViewer = null;
+        otherViewer.linkedViewer = null;
+    }
+
+    copyCameraTo(otherViewer) {
+        // The guard stops the other viewer's 'change' event from echoing back
+        if (this.isSyncingCamera) return;
+
+        otherViewer.isSyncingCamera = true;
+        otherViewer.camera.position.copy(this.camera.position);
+        otherViewer.controls.target.copy(this.controls.target);
+        otherViewer.controls.update();
+        otherViewer.isSyncingCamera = false;
+    }
 
-            this.renderer.setSize(width, height);
+    // ==================== UNDO / REDO ====================
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd instead of Ctrl on macOS
+    setupHistoryShortcuts() {
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+            const key = event.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+
+            // Text fields keep their own undo
+            const target = event.target;
+            const isTextInput = target.tagName === 'TEXTAREA' || target.isContentEditable ||
+                (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'color', 'button', 'file'].includes(target.type));
+            if (isTextInput) return;
+
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
         });
     }
 
-    // Method to update jersey color
-    updateColor(part, color) {
-        if (!this.jerseyMesh) return;
+    undo() {
+        // Finish the drag first so it does not fight with the restored position
+        if (this.isDragging) return;
 
-        // This will be expanded to handle different parts
-        debugLog(`Updating ${part} to color ${color}`);
+        const command = this.history.undo();
+        debugLog(command ? `↩️ Undo: ${command.label}` : '↩️ Nothing to undo');
+    }
+
+    redo() {
+        if (this.isDragging) return;
+
+        const command = this.history.redo();
+        debugLog(command ? `↪️ Redo: ${command.label}` : '↪️ Nothing to redo');
+    }
+
+    /**
+     * Register a callback for changes worth saving: every texture update (stripes, logos, colors,
+     * designs) and the end of each camera interaction. Calls are frequent; debounce in the listener
+     * @param {Function} callback - Called with the part name for canvas edits, without arguments
+     *   for camera moves
+     * @returns {Function} Removes the listener
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    notifyChange(partName = null) {
+        this.changeListeners.forEach(listener => listener(partName));
     }
 
     // Cleanup method
     dispose() {
+        this.changeListeners = [];
+        this.unlinkCamera();
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
+        if (this.memoryStatsInterval) {
+            clearInterval(this.memoryStatsInterval);
+        }
+
+        // Model, cached GLBs, the part canvases and their textures, then what is left in the scene
+        // (ground plane, environment map)
+        this.unloadModel();
+        this.modelCache.clear();
+        this.designBitmaps.forEach(bitmap => bitmap.close());
+        this.designBitmaps.clear();
+        Object.values(this.partTextures).forEach(texture => texture.dispose());
+        Object.values(this.partCanvases).forEach(fabricCanvas => fabricCanvas.dispose());
+        this.partTextures = {};
+        this.partCanvases = {};
+        if (this.scene) {
+            new ResourceTracker().track(this.scene).dispose();
+        }
+
         if (this.renderer) {
             this.renderer.dispose();
         }
         if (this.controls) {
             this.controls.dispose();
         }
+        if (this.logoGizmo) {
+            this.logoGizmo.dispose();
+        }
     }
 }
 
 // Initialize the viewer - will be called from script.js
 let jerseyViewer;
+let compareViewer;
 
 // Initialize function - called from script.js after DOM is ready
-function initViewer() {
-    jerseyViewer = new JerseyViewer('#viewer-container');
+// options: see the JerseyViewer constructor (e.g. the saved texture resolution)
+function initViewer(options = {}) {
+    jerseyViewer = new JerseyViewer('#viewer-container', options);
 
     // Expose on window for use in script.js
     window.jerseyViewer = jerseyViewer;
@@ -2456,5 +4459,23 @@ function initViewer() {
     }
 }
 
+// Create the second viewer used by the side-by-side compare mode (once, on first use)
+// Its camera is linked to the main viewer so both jerseys rotate together
+function initCompareViewer() {
+    if (!compareViewer) {
+        compareViewer = new JerseyViewer('#viewer-container-compare', {
+            canvasIdPrefix: 'fabric-canvas-compare',
+            primary: false,
+            textureResolution: jerseyViewer.textureResolution
+        });
+        jerseyViewer.linkCamera(compareViewer);
+
+        // Expose on window for use in script.js
+        window.compareViewer = compareViewer;
+    }
+
+    return compareViewer;
+}
+
 // Export for use in other scripts
-export { jerseyViewer, JerseyViewer, initViewer };
+export { jerseyViewer, JerseyViewer, initViewer, initCompareViewer };
@@ -0,0 +1,191 @@
+// Variation registry
+// Single source of truth for the collars, shoulders and jersey variations the viewer supports.
+// The design buttons, the SVG filename parser and the validator are all generated from this data,
+// so adding a collar (e.g. "polo") only needs a new entry in COLLARS and VARIATIONS.
+
+const MODELS_DIRECTORY = './models/';
+
+// Camera presets: initial camera pose and the per-part positions used by animateCameraToPart()
+const CAMERA_PRESETS = {
+    'standard': {
+        position: { x: 2, y: 2, z: 4 },
+        target: { x: 0, y: 0, z: 0 },
+        parts: {
+            'front': { x: 0.00, y: 1.00, z: 4.20 },
+            'back': { x: 0.00, y: 1.00, z: -4.20 },
+            'left-sleeve': { x: 2.25, y: 1.66, z: 0.00 },
+            'right-sleeve': { x: -2.25, y: 1.66, z: 0.00 },
+            'collar': { x: 0.0, y: 0.0, z: 0.50 },
+            'collar2': { x: 0.0, y: 0.0, z: 0.50 },
+            'hem': { x: 0.0, y: 0.95, z: 1.0 },
+        }
+    }
+};
+
+const COLLARS = [
+    { id: 'insert', label: 'Insert' },
+    { id: 'round', label: 'Round' },
+    { id: 'v_neck', label: 'V-neck' },
+    { id: 'v_neck_crossed', label: 'V-neck crossed' }
+];
+
+// Bounding boxes for jersey parts (as percentages of canvas), per shoulder type
+const SHOULDERS = [
+    {
+        id: 'set_in',
+        label: 'Set-in',
+        boundingBoxes: {
+            'front': { x: 0.03, y: 0.14, width: 0.45, height: 0.62 },
+            'back': { x: 0.54, y: 0.1, width: 0.45, height: 0.63 },
+            'left-sleeve': { x: 0.58, y: 0.75, width: 0.35, height: 0.16 },
+            'right-sleeve': { x: 0.08, y: 0.75, width: 0.35, height: 0.16 },
+            'collar': { x: 0.0, y: 0.054, width: 0.5, height: 0.03 },
+            'collar2': { x: 0.195, y: 0.095, width: 0.105, height: 0.021 },
+            'hem': { x: 0.1, y: 0.925, width: 0.82, height: 0.035 },
+        }
+    },
+    {
+        id: 'reglan',
+        label: 'Reglan',
+        boundingBoxes: {
+            'front': { x: 0.04, y: 0.08, width: 0.425, height: 0.6 },
+            'back': { x: 0.53, y: 0.06, width: 0.43, height: 0.6 },
+            'left-sleeve': { x: 0.57, y: 0.65, width: 0.35, height: 0.26 },
+            'right-sleeve': { x: 0.07, y: 0.65, width: 0.35, height: 0.26 },
+            'collar': { x: 0.01, y: 0.05, width: 0.59, height: 0.03 },
+            'collar2': { x: 0.2, y: 0.095, width: 0.104, height: 0.021 },
+            'hem': { x: 0.1, y: 0.925, width: 0.82, height: 0.035 },
+        }
+    }
+];
+
+// Every supported collar + shoulder combination, in the order the design buttons are shown
+const VARIATIONS = [
+    { collar: 'insert', shoulder: 'set_in', model: 'insert_collar_set_in_02.glb', camera: 'standard' },
+    { collar: 'insert', shoulder: 'reglan', model: 'insert_collar_reglan_01.glb', camera: 'standard' },
+    { collar: 'round', shoulder: 'set_in', model: 'round_collar_set_in_02.glb', camera: 'standard' },
+    { collar: 'round', shoulder: 'reglan', model: 'round_collar_reglan_01.glb', camera: 'standard' },
+    { collar: 'v_neck', shoulder: 'set_in', model: 'v_neck_set_in_01.glb', camera: 'standard' },
+    { collar: 'v_neck', shoulder: 'reglan', model: 'v_neck_reglan_01.glb', camera: 'standard' },
+    { collar: 'v_neck_crossed', shoulder: 'set_in', model: 'v_neck_crossed_set_in_01.glb', camera: 'standard' },
+    { collar: 'v_neck_crossed', shoulder: 'reglan', model: 'v_neck_crossed_reglan_01.glb', camera: 'standard' }
+];
+
+// Used when a collar/shoulder combination is unknown (and as the URL parameter defaults)
+const DEFAULT_VARIATION = { collar: 'insert', shoulder: 'reglan' };
+
+// Key used for variations throughout the app, e.g. "v_neck_set_in"
+function getVariationKey(collar, shoulder) {
+    return `${collar}_${shoulder}`;
+}
+
+function getVariation(collar, shoulder) {
+    return VARIATIONS.find(variation => variation.collar === collar && variation.shoulder === shoulder) || null;
+}
+
+function getVariationByKey(key) {
+    return VARIATIONS.find(variation => getVariationKey(variation.collar, variation.shoulder) === key) || null;
+}
+
+function getCollarIds() {
+    return COLLARS.map(collar => collar.id);
+}
+
+function getShoulderIds() {
+    return SHOULDERS.map(shoulder => shoulder.id);
+}
+
+// Get model path based on selections
+function getModelPath(collar, shoulder) {
+    const variation = getVariation(collar, shoulder);
+
+    if (!variation) {
+        console.warn(`No model found for ${collar} + ${shoulder}, using default`);
+        const fallback = getVariation(DEFAULT_VARIATION.collar, DEFAULT_VARIATION.shoulder);
+        return `${MODELS_DIRECTORY}${fallback.model}`;
+    }
+
+    return `${MODELS_DIRECTORY}${variation.model}`;
+}
+
+// Get the part bounding boxes for a shoulder type (falls back to the default shoulder)
+function getBoundingBoxes(shoulder) {
+    const entry = SHOULDERS.find(s => s.id === shoulder) ||
+        SHOULDERS.find(s => s.id === DEFAULT_VARIATION.shoulder);
+    return entry.boundingBoxes;
+}
+
+// Get the camera preset for a variation (falls back to the standard preset)
+function getCameraPreset(collar, shoulder) {
+    const variation = getVariation(collar, shoulder);
+    return CAMERA_PRESETS[variation?.camera] || CAMERA_PRESETS['standard'];
+}
+
+/**
+ * Parse an SVG filename following <collar>_<shoulder>_<design_name>.svg
+ * Collar and shoulder ids may themselves contain underscores (v_neck_crossed, set_in), so the
+ * longest known collar id is matched first. When no known collar matches, the name is split on a
+ * known shoulder so callers can still report the unknown collar.
+ * @param {string} filename - The file name (case-insensitive, extension optional)
+ * @returns {{collar: string, shoulder: string, designPart: string, key: string}|null} null if the
+ *   name cannot be split into collar, shoulder and design name
+ */
+function parseDesignFilename(filename) {
+    const name = filename.toLowerCase().replace(/\.svg$/, '');
+
+    const collarsLongestFirst = [...COLLARS].sort((a, b) => b.id.length - a.id.length);
+    for (const collar of collarsLongestFirst) {
+        if (!name.startsWith(`${collar.id}_`)) continue;
+
+        const rest = name.slice(collar.id.length + 1);
+        const shoulder = SHOULDERS.find(s => rest.startsWith(`${s.id}_`));
+        if (shoulder) {
+            return {
+                collar: collar.id,
+                shoulder: shoulder.id,
+                designPart: rest.slice(shoulder.id.length + 1),
+                key: getVariationKey(collar.id, shoulder.id)
+            };
+        }
+    }
+
+    // Unknown collar: split on the known shoulder that appears first in the name
+    // (the longer id wins when two start at the same position)
+    let match = null;
+    for (const shoulder of SHOULDERS) {
+        const index = name.indexOf(`_${shoulder.id}_`);
+        if (index <= 0) continue;
+        if (!match || index < match.index || (index === match.index && shoulder.id.length > match.shoulder.id.length)) {
+            match = { shoulder, index };
+        }
+    }
+
+    if (match) {
+        const collar = name.slice(0, match.index);
+        return {
+            collar,
+            shoulder: match.shoulder.id,
+            designPart: name.slice(match.index + match.shoulder.id.length + 2),
+            key: getVariationKey(collar, match.shoulder.id)
+        };
+    }
+
+    return null;
+}
+
+export {
+    CAMERA_PRESETS,
+    COLLARS,
+    SHOULDERS,
+    VARIATIONS,
+    DEFAULT_VARIATION,
+    getVariationKey,
+    getVariation,
+    getVariationByKey,
+    getCollarIds,
+    getShoulderIds,
+    getModelPath,
+    getBoundingBoxes,
+    getCameraPreset,
+    parseDesignFilename
+};